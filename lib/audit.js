@@ -0,0 +1,258 @@
+import * as fs from "node:fs";
+import * as path from "node:path";
+import * as readline from "node:readline";
+import { globToRegExp } from "./filter.js";
+import { log, redactSecrets } from "./log.js";
+
+// How the audit log is rotated: when it reaches its maximum size, or when a new day starts (UTC)
+export const AUDIT_ROTATIONS = ["size", "daily"];
+
+// Default audit log settings; nothing is written until a file is configured
+export const AUDIT_DEFAULTS = { maxSize: 10 * 1024 * 1024, rotate: "size" };
+
+// Relative times accepted by the query, e.g. "30m" or "7d"
+const DURATION_UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+// Options of the audit command taking a value
+const QUERY_OPTIONS = ["--since", "--until", "--tool", "--status", "--limit", "--file"];
+
+// Build the audit log settings from the defaults and any number of partial overrides:
+// { file, maxSize, rotate }
+export function auditSettings(...overrides) {
+  const settings = { file: undefined, ...AUDIT_DEFAULTS };
+  for (const override of overrides) {
+    for (const key of ["file", "maxSize", "rotate"]) {
+      if (override?.[key] !== undefined && override[key] !== "") {
+        settings[key] = override[key];
+      }
+    }
+  }
+
+  if (!AUDIT_ROTATIONS.includes(settings.rotate)) {
+    throw new Error(`Invalid audit log rotation: ${settings.rotate} (expected one of ${AUDIT_ROTATIONS.join(", ")})`);
+  }
+  if (!Number.isInteger(Number(settings.maxSize)) || Number(settings.maxSize) < 0) {
+    throw new Error(`Invalid audit log maxSize: ${settings.maxSize}`);
+  }
+  settings.maxSize = Number(settings.maxSize);
+  settings.file = settings.file && path.resolve(settings.file);
+  return settings;
+}
+
+// Day of a time (UTC), as YYYY-MM-DD
+function day(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+// Escape a string for use in a regular expression
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Free name for a rotated file: audit.jsonl becomes audit-2026-10-17.jsonl, then
+// audit-2026-10-17.1.jsonl and so on
+function rotatedPath(file, date) {
+  const ext = path.extname(file);
+  const stem = file.slice(0, file.length - ext.length);
+  for (let index = 0; ; index++) {
+    const candidate = `${stem}-${date}${index > 0 ? `.${index}` : ""}${ext}`;
+    if (!fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+}
+
+// Files of an audit log, oldest first: the rotated files, then the current one
+export function auditFiles(file) {
+  const ext = path.extname(file);
+  const pattern = new RegExp(
+    `^${escapeRegExp(path.basename(file, ext))}-(\\d{4}-\\d{2}-\\d{2})(?:\\.(\\d+))?${escapeRegExp(ext)}$`,
+  );
+
+  let names = [];
+  try {
+    names = fs.readdirSync(path.dirname(file));
+  } catch {
+    return [];
+  }
+  const rotated = names
+    .map(name => ({ name, match: name.match(pattern) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => a.match[1].localeCompare(b.match[1]) || Number(a.match[2] || 0) - Number(b.match[2] || 0))
+    .map(({ name }) => path.join(path.dirname(file), name));
+  return fs.existsSync(file) ? [...rotated, file] : rotated;
+}
+
+// Create the audit log writer. Every entry is appended to `settings.file` as one JSON line; the file
+// is moved aside first when the line would take it past `maxSize` or, with daily rotation, when it
+// was last written on an earlier day. Write failures are logged and never fail the tool call.
+export function createAuditLog(settings, options = {}) {
+  const now = options.now || Date.now;
+  // Day of the last entry written by this log, on its own clock; the file's mtime is only used for
+  // a file left by an earlier run
+  let lastDay;
+
+  // Rotate the current file when it is full or stale
+  const rotate = lineSize => {
+    let stat;
+    try {
+      stat = fs.statSync(settings.file);
+    } catch {
+      return;
+    }
+    const full = settings.rotate === "size" && settings.maxSize > 0 && stat.size > 0 &&
+      stat.size + lineSize > settings.maxSize;
+    const written = lastDay || day(stat.mtimeMs);
+    const stale = settings.rotate === "daily" && written !== day(now());
+    if (full || stale) {
+      const target = rotatedPath(settings.file, written);
+      fs.renameSync(settings.file, target);
+      log.info(`Rotated the audit log to ${target}`);
+    }
+  };
+
+  return {
+    record(entry) {
+      const line = `${JSON.stringify(entry)}\n`;
+      try {
+        fs.mkdirSync(path.dirname(settings.file), { recursive: true });
+        rotate(Buffer.byteLength(line));
+        fs.appendFileSync(settings.file, line);
+        lastDay = day(now());
+      } catch (error) {
+        log.warn(`Failed to write the audit log ${settings.file}: ${error.message}`);
+      }
+    },
+  };
+}
+
+// Error message of a failed MCP result: the first line of its text without the "Error: " prefix,
+// or the HTTP status for API errors returned as they are
+function resultError(result) {
+  if (!result.isError) {
+    return null;
+  }
+  const text = result.content?.find(item => item.type === "text")?.text || "";
+  return text.startsWith("Error: ") ? text.slice("Error: ".length).split("\n")[0] : `HTTP ${result.metadata?.status}`;
+}
+
+// Build the audit entry of one tool call from its arguments and MCP result
+export function auditEntry(name, operation, args, result, started, finished = Date.now()) {
+  return {
+    timestamp: new Date(started).toISOString(),
+    tool: name,
+    method: operation ? operation.method.toUpperCase() : null,
+    path: operation ? operation.path : null,
+    arguments: redactSecrets(args || {}),
+    status: result.metadata?.status ?? null,
+    durationMs: finished - started,
+    error: resultError(result),
+    ...(result.metadata?.dryRun ? { dryRun: true } : {}),
+  };
+}
+
+// Parse a query time: an ISO date or a duration before now such as "24h"
+function parseTime(value, option, now) {
+  const duration = String(value).match(/^(\d+)([smhd])$/);
+  const time = duration ? now - Number(duration[1]) * DURATION_UNITS[duration[2]] : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ${option} time: ${value} (expected an ISO date or a duration such as 24h)`);
+  }
+  return time;
+}
+
+// Parse a status filter: comma-separated codes (404), classes (5xx), "ok" or "error"
+function parseStatuses(value) {
+  return String(value).split(",").map(item => {
+    const status = item.trim().toLowerCase();
+    if (status === "ok") return entry => !entry.error;
+    if (status === "error") return entry => Boolean(entry.error);
+    if (/^\dxx$/.test(status)) return entry => Math.floor(entry.status / 100) === Number(status[0]);
+    if (/^\d{3}$/.test(status)) return entry => entry.status === Number(status);
+    throw new Error(`Invalid --status: ${item} (expected a code such as 404, a class such as 5xx, ok or error)`);
+  });
+}
+
+// Parse the arguments of the audit command: --since, --until, --tool (glob), --status, --limit,
+// --file and --json, as "--option value" or "--option=value"
+export function parseAuditQuery(args, now = Date.now()) {
+  const query = {};
+  for (let index = 0; index < args.length; index++) {
+    const [option, inline] = args[index].split(/=(.*)/s);
+    if (option === "--json") {
+      query.json = true;
+      continue;
+    }
+    if (!QUERY_OPTIONS.includes(option)) {
+      throw new Error(`Unknown audit option: ${option} (expected ${QUERY_OPTIONS.join(", ")} or --json)`);
+    }
+    const value = inline ?? args[++index];
+    if (value === undefined) {
+      throw new Error(`Missing value for ${option}`);
+    }
+    switch (option) {
+      case "--since":
+      case "--until":
+        query[option.slice(2)] = parseTime(value, option, now);
+        break;
+      case "--tool":
+        query.tool = globToRegExp(value);
+        break;
+      case "--status":
+        query.status = parseStatuses(value);
+        break;
+      case "--limit":
+        if (!/^\d+$/.test(value) || Number(value) === 0) {
+          throw new Error(`Invalid --limit: ${value}`);
+        }
+        query.limit = Number(value);
+        break;
+      case "--file":
+        query.file = value;
+        break;
+    }
+  }
+  return query;
+}
+
+// Check an entry against a parsed query
+function matchesQuery(entry, query) {
+  const time = Date.parse(entry.timestamp);
+  return (query.since === undefined || time >= query.since) &&
+    (query.until === undefined || time <= query.until) &&
+    (!query.tool || query.tool.test(entry.tool)) &&
+    (!query.status || query.status.some(matches => matches(entry)));
+}
+
+// Read the entries of an audit log and its rotated files that match a query, oldest first.
+// With a limit only the most recent entries are kept. Lines that are not JSON are skipped.
+export async function queryAuditLog(file, query = {}) {
+  const entries = [];
+  for (const source of auditFiles(file)) {
+    const lines = readline.createInterface({ input: fs.createReadStream(source), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (line.trim() === "") continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        log(`Skipping a malformed audit log line in ${source}`);
+        continue;
+      }
+      if (matchesQuery(entry, query)) {
+        entries.push(entry);
+        if (query.limit && entries.length > query.limit) entries.shift();
+      }
+    }
+  }
+  return entries;
+}
+
+// One-line summary of an entry for the terminal
+export function formatAuditEntry(entry) {
+  const status = entry.dryRun ? "dry" : String(entry.status ?? "-");
+  const endpoint = entry.method ? `  ${entry.method} ${entry.path}` : "";
+  const duration = `${entry.durationMs}ms`.padStart(7);
+  const error = entry.error ? `  error: ${entry.error}` : "";
+  return `${entry.timestamp}  ${status.padEnd(3)}  ${duration}  ${entry.tool}${endpoint}${error}`;
+}
@@ -0,0 +1,257 @@
+import { fetch } from "undici";
+import { log, registerSecrets } from "./log.js";
+
+// Credential fields that can be set with AUTH_<SCHEME>_<SUFFIX> environment variables
+const CREDENTIAL_ENV_FIELDS = {
+  username: "USERNAME",
+  password: "PASSWORD",
+  clientId: "CLIENT_ID",
+  clientSecret: "CLIENT_SECRET",
+  scopes: "SCOPES",
+  tokenUrl: "TOKEN_URL",
+};
+
+// Refresh OAuth2 tokens this long before they expire
+const TOKEN_EXPIRY_MARGIN_MS = 30000;
+
+// Give up on an OAuth2 token request after this long. The request is shared by concurrent calls,
+// so it runs on its own timeout rather than that of the call which started it.
+const TOKEN_REQUEST_TIMEOUT_MS = 30000;
+
+// Environment variable prefix of a security scheme, e.g. api_key -> AUTH_API_KEY
+export function authEnvPrefix(schemeName) {
+  return `AUTH_${schemeName.replace(/[^A-Za-z0-9]+/g, "_").toUpperCase()}`;
+}
+
+// Split a scope list given as a string or an array
+function scopeList(scopes) {
+  if (Array.isArray(scopes)) return scopes;
+  return typeof scopes === "string" ? scopes.split(/[\s,]+/).filter(Boolean) : undefined;
+}
+
+// Collect the credentials of every declared scheme from the config (by scheme name) and the
+// environment. A string is shorthand for `value`: the API key, bearer token or OAuth2 access token.
+export function resolveCredentials(securitySchemes = {}, auth = {}, env = {}) {
+  const credentials = {};
+
+  for (const name of Object.keys(securitySchemes)) {
+    const configured = typeof auth[name] === "string" ? { value: auth[name] } : { ...(auth[name] || {}) };
+
+    const prefix = authEnvPrefix(name);
+    if (configured.value === undefined && env[prefix]) {
+      configured.value = env[prefix];
+    }
+    for (const [field, suffix] of Object.entries(CREDENTIAL_ENV_FIELDS)) {
+      if (configured[field] === undefined && env[`${prefix}_${suffix}`]) {
+        configured[field] = env[`${prefix}_${suffix}`];
+      }
+    }
+
+    if (configured.scopes !== undefined) {
+      configured.scopes = scopeList(configured.scopes);
+    }
+    if (Object.values(configured).some(value => value !== undefined && value !== "")) {
+      credentials[name] = configured;
+      registerSecrets(configured.value, configured.password, configured.clientSecret);
+    }
+  }
+
+  return credentials;
+}
+
+// Create the auth state of a spec: its schemes, credentials and OAuth2 token cache
+export function createAuth(securitySchemes = {}, credentials = {}) {
+  return { schemes: securitySchemes, credentials, tokens: new Map() };
+}
+
+// Drop cached OAuth2 tokens, e.g. after the API rejected one
+export function invalidateTokens(auth) {
+  auth?.tokens.clear();
+}
+
+// Check whether a scheme is supported and has the credentials it needs
+function canApply(auth, name) {
+  const scheme = auth.schemes[name];
+  const credentials = auth.credentials[name];
+  if (!scheme || !credentials) {
+    return false;
+  }
+
+  switch (scheme.type) {
+    case "apiKey":
+      return Boolean(credentials.value) && ["header", "query", "cookie"].includes(scheme.in);
+    case "http": {
+      const type = String(scheme.scheme).toLowerCase();
+      if (type === "bearer") return Boolean(credentials.value);
+      if (type === "basic") return Boolean(credentials.username || credentials.value);
+      return false;
+    }
+    case "oauth2":
+      return Boolean(
+        credentials.value ||
+        (credentials.clientId && credentials.clientSecret &&
+          (credentials.tokenUrl || scheme.flows?.clientCredentials?.tokenUrl)),
+      );
+    default:
+      return false;
+  }
+}
+
+// Request an OAuth2 access token with the client-credentials grant
+async function requestToken(name, tokenUrl, credentials, scopes) {
+  log.info(`Requesting OAuth2 token for "${name}" from ${tokenUrl}`);
+  const form = new URLSearchParams({ grant_type: "client_credentials" });
+  if (scopes.length > 0) {
+    form.set("scope", scopes.join(" "));
+  }
+
+  // Client credentials go in HTTP Basic, form-encoded as RFC 6749 section 2.3.1 requires
+  const client = `${encodeURIComponent(credentials.clientId)}:${encodeURIComponent(credentials.clientSecret)}`;
+  let response;
+  try {
+    response = await fetch(tokenUrl, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        Accept: "application/json",
+        Authorization: `Basic ${Buffer.from(client).toString("base64")}`,
+      },
+      body: form.toString(),
+      signal: AbortSignal.timeout(TOKEN_REQUEST_TIMEOUT_MS),
+    });
+  } catch (error) {
+    if (error.name === "TimeoutError") {
+      throw new Error(`OAuth2 token request for "${name}" timed out after ${TOKEN_REQUEST_TIMEOUT_MS}ms`);
+    }
+    throw error;
+  }
+
+  const text = await response.text();
+  if (!response.ok) {
+    throw new Error(`OAuth2 token request for "${name}" failed: HTTP ${response.status} ${text}`.trim());
+  }
+
+  const token = JSON.parse(text);
+  if (!token.access_token) {
+    throw new Error(`OAuth2 token response for "${name}" has no access_token`);
+  }
+  registerSecrets(token.access_token);
+  return { accessToken: token.access_token, expiresIn: Number(token.expires_in) || undefined };
+}
+
+// Wait for a promise until `signal` aborts, without cancelling the work behind the promise
+function untilAborted(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    const abort = () => reject(signal.reason);
+    if (signal.aborted) {
+      return abort();
+    }
+    signal.addEventListener("abort", abort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", abort));
+  });
+}
+
+// Return a cached access token, fetching a new one when there is none or it is about to expire.
+// Concurrent calls share one token request; `signal` only stops this call from waiting for it.
+function accessToken(auth, name, scopes, signal) {
+  const scheme = auth.schemes[name];
+  const credentials = auth.credentials[name];
+  const key = `${name} ${scopes.join(" ")}`;
+
+  const cached = auth.tokens.get(key);
+  if (cached && !(cached.expiresAt <= Date.now() + TOKEN_EXPIRY_MARGIN_MS)) {
+    return untilAborted(cached.token, signal);
+  }
+
+  const tokenUrl = credentials.tokenUrl || scheme.flows.clientCredentials.tokenUrl;
+  const entry = {};
+  entry.token = requestToken(name, tokenUrl, credentials, scopes).then(
+    ({ accessToken: token, expiresIn }) => {
+      entry.expiresAt = expiresIn ? Date.now() + expiresIn * 1000 : Infinity;
+      return token;
+    },
+    error => {
+      auth.tokens.delete(key);
+      throw error;
+    },
+  );
+  auth.tokens.set(key, entry);
+  return untilAborted(entry.token, signal);
+}
+
+// Add the credentials of one scheme to the request parts. Offline, OAuth2 tokens that would
+// have to be requested are left as a placeholder.
+async function applyScheme(auth, name, requiredScopes, request, options) {
+  const scheme = auth.schemes[name];
+  const credentials = auth.credentials[name];
+
+  switch (scheme.type) {
+    case "apiKey":
+      if (scheme.in === "header") {
+        request.headers[scheme.name] = credentials.value;
+      } else if (scheme.in === "query") {
+        request.query.push(`${encodeURIComponent(scheme.name)}=${encodeURIComponent(credentials.value)}`);
+      } else {
+        request.cookies.push(`${scheme.name}=${encodeURIComponent(credentials.value)}`);
+      }
+      break;
+    case "http":
+      if (String(scheme.scheme).toLowerCase() === "bearer") {
+        request.headers.Authorization = `Bearer ${credentials.value}`;
+      } else {
+        const pair = credentials.username !== undefined
+          ? `${credentials.username}:${credentials.password || ""}`
+          : credentials.value;
+        request.headers.Authorization = `Basic ${Buffer.from(pair).toString("base64")}`;
+      }
+      break;
+    case "oauth2": {
+      const scopes = credentials.scopes || requiredScopes || [];
+      const token = credentials.value ||
+        (options.offline ? "<oauth2 access token>" : await accessToken(auth, name, scopes, options.signal));
+      request.headers.Authorization = `Bearer ${token}`;
+      request.refreshable = request.refreshable || !credentials.value;
+      break;
+    }
+  }
+}
+
+// Check whether a static header of the request already carries the key of an apiKey header scheme,
+// e.g. X-Api-Key set through HTTP_HEADERS_X_API_KEY
+function hasStaticKey(auth, name, headers = {}) {
+  const scheme = auth.schemes[name];
+  return scheme?.type === "apiKey" && scheme.in === "header" && typeof scheme.name === "string" &&
+    Object.entries(headers).some(([header, value]) => header.toLowerCase() === scheme.name.toLowerCase() && value);
+}
+
+// Work out the headers, query pairs and cookies that authenticate a request. The operation's
+// security requirements are alternatives; the first one whose schemes all have credentials, or
+// whose key is already set as a static header (options.headers), is applied, and an empty
+// requirement means authentication is optional. With options.offline no token is requested;
+// options.signal stops waiting for a token request.
+export async function authorize(operation, auth, options = {}) {
+  const request = { headers: {}, query: [], cookies: [], schemes: [], refreshable: false };
+  const requirements = operation.security || [];
+  if (!auth || requirements.length === 0) {
+    return request;
+  }
+
+  const satisfied = name => canApply(auth, name) || hasStaticKey(auth, name, options.headers);
+  const requirement = requirements.find(candidate => Object.keys(candidate).every(satisfied));
+  if (!requirement) {
+    const wanted = requirements.map(candidate => Object.keys(candidate).join(" + ")).join(" or ");
+    log.warn(`No credentials configured for ${operation.operationId} (requires ${wanted}); sending it unauthenticated`);
+    return request;
+  }
+
+  for (const [name, scopes] of Object.entries(requirement)) {
+    if (canApply(auth, name)) {
+      await applyScheme(auth, name, scopes, request, options);
+    }
+    request.schemes.push(name);
+  }
+  return request;
+}
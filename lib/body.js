@@ -0,0 +1,223 @@
+import { FormData } from "undici";
+import { Blob } from "node:buffer";
+import * as fs from "node:fs";
+import * as path from "node:path";
+
+// Request body media types in order of preference
+const MEDIA_TYPE_PREFERENCE = [
+  "application/json",
+  "multipart/form-data",
+  "application/x-www-form-urlencoded",
+  "application/octet-stream",
+  "text/plain",
+];
+
+// Content types guessed from file extensions for multipart file parts
+const EXTENSION_CONTENT_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".pdf": "application/pdf",
+  ".mp3": "audio/mpeg",
+  ".ogg": "audio/ogg",
+  ".opus": "audio/ogg",
+  ".mp4": "video/mp4",
+  ".txt": "text/plain",
+  ".json": "application/json",
+  ".csv": "text/csv",
+  ".zip": "application/zip",
+};
+
+// Strip media type parameters such as "; charset=utf-8"
+export function baseMediaType(mediaType) {
+  return (mediaType || "").split(";")[0].trim().toLowerCase();
+}
+
+// Classify a media type into the body encodings we know how to build
+export function bodyEncoding(mediaType) {
+  const base = baseMediaType(mediaType);
+  if (base === "application/json" || base.endsWith("+json")) return "json";
+  if (base === "multipart/form-data") return "multipart";
+  if (base === "application/x-www-form-urlencoded") return "form";
+  if (base.startsWith("text/")) return "text";
+  return "binary";
+}
+
+// Choose the best supported media type from a requestBody content map
+export function selectMediaType(content = {}) {
+  const mediaTypes = Object.keys(content);
+  if (mediaTypes.length === 0) return undefined;
+
+  for (const preferred of MEDIA_TYPE_PREFERENCE) {
+    const match = mediaTypes.find(mediaType => baseMediaType(mediaType) === preferred);
+    if (match) return match;
+  }
+
+  return mediaTypes.find(mediaType => bodyEncoding(mediaType) === "json") || mediaTypes[0];
+}
+
+// Check whether a schema describes raw file contents
+function isBinarySchema(schema) {
+  return Boolean(schema) && schema.type === "string" &&
+    (schema.format === "binary" || schema.format === "byte" || schema.contentMediaType !== undefined);
+}
+
+// Replace binary properties with local file path arguments
+function fileArgumentSchema(schema) {
+  return {
+    type: "string",
+    description: [schema.description, "Path to a local file to upload"].filter(Boolean).join(". "),
+  };
+}
+
+// Build the tool input schema for a request body of the given media type
+export function bodyInputSchema(schema, mediaType) {
+  const encoding = bodyEncoding(mediaType);
+
+  if (encoding === "binary") {
+    return {
+      type: "string",
+      description: [schema.description, `Path to a local file sent as the ${baseMediaType(mediaType)} request body`]
+        .filter(Boolean)
+        .join(". "),
+    };
+  }
+
+  if (encoding !== "multipart" || !schema.properties) {
+    return schema;
+  }
+
+  const properties = {};
+  for (const [name, property] of Object.entries(schema.properties)) {
+    if (isBinarySchema(property)) {
+      properties[name] = fileArgumentSchema(property);
+    } else if (property.type === "array" && isBinarySchema(property.items)) {
+      properties[name] = { ...property, items: fileArgumentSchema(property.items) };
+    } else {
+      properties[name] = property;
+    }
+  }
+
+  return { ...schema, properties };
+}
+
+// Read a local file argument for upload. Relative paths are taken from the upload root, and a
+// file that is outside it, also through a symlink, is refused.
+async function readFileArgument(name, filePath, uploadDir = process.cwd()) {
+  if (typeof filePath !== "string") {
+    throw new Error(`Expected a local file path for "${name}"`);
+  }
+
+  const resolved = path.resolve(uploadDir, filePath);
+  let root;
+  let real;
+  try {
+    [root, real] = await Promise.all([fs.promises.realpath(uploadDir), fs.promises.realpath(resolved)]);
+  } catch (error) {
+    throw new Error(`Unable to read file for "${name}": ${error.message}`);
+  }
+
+  const relative = path.relative(root, real);
+  if (relative === ".." || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    throw new Error(`File for "${name}" is outside the upload directory ${root}: ${filePath}`);
+  }
+
+  try {
+    return { data: await fs.promises.readFile(real), filename: path.basename(resolved), path: real };
+  } catch (error) {
+    throw new Error(`Unable to read file for "${name}": ${error.message}`);
+  }
+}
+
+// Guess a part content type from the file name
+function guessContentType(filename) {
+  return EXTENSION_CONTENT_TYPES[path.extname(filename).toLowerCase()] || "application/octet-stream";
+}
+
+// Stringify a form field value
+function fieldValue(value) {
+  return value !== null && typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+// Build a multipart/form-data body, reading file parts from local paths under uploadDir. `files`
+// lists the part name and resolved path of every file part, in order.
+async function buildMultipartBody(body, schema = {}, encoding = {}, uploadDir) {
+  const form = new FormData();
+  const files = [];
+  const properties = schema.properties || {};
+
+  for (const [name, value] of Object.entries(body)) {
+    if (value === undefined || value === null) continue;
+
+    const property = properties[name] || {};
+    const partType = encoding[name]?.contentType;
+    const isFile = isBinarySchema(property);
+    const isFileList = property.type === "array" && isBinarySchema(property.items);
+
+    if (isFile || isFileList) {
+      for (const filePath of isFileList ? [].concat(value) : [value]) {
+        const file = await readFileArgument(name, filePath, uploadDir);
+        const type = partType || property.contentMediaType || guessContentType(file.filename);
+        form.append(name, new Blob([file.data], { type }), file.filename);
+        files.push({ name, path: file.path });
+      }
+    } else if (Array.isArray(value) && !partType) {
+      value.forEach(item => form.append(name, fieldValue(item)));
+    } else if (partType) {
+      form.append(name, new Blob([fieldValue(value)], { type: partType }));
+    } else {
+      form.append(name, fieldValue(value));
+    }
+  }
+
+  return { form, files };
+}
+
+// Build an application/x-www-form-urlencoded body
+function buildFormBody(body) {
+  const form = new URLSearchParams();
+
+  for (const [name, value] of Object.entries(body)) {
+    if (value === undefined || value === null) continue;
+    if (Array.isArray(value)) {
+      value.forEach(item => form.append(name, fieldValue(item)));
+    } else {
+      form.append(name, fieldValue(value));
+    }
+  }
+
+  return form.toString();
+}
+
+// Encode the body argument for the operation's request media type.
+// The returned contentType is undefined for multipart bodies so fetch can add the boundary, and
+// `files` lists the resolved paths of the uploaded files. options.uploadDir is the directory
+// uploaded files must be in (default: the working directory).
+export async function encodeRequestBody(operation, body, options = {}) {
+  const mediaType = operation.requestContentType || "application/json";
+  const mediaTypeObject = operation.requestBody?.content?.[mediaType] || {};
+
+  switch (bodyEncoding(mediaType)) {
+    case "multipart": {
+      const { form, files } = await buildMultipartBody(
+        body,
+        operation.requestBodySchema,
+        mediaTypeObject.encoding,
+        options.uploadDir,
+      );
+      return { body: form, contentType: undefined, files };
+    }
+    case "form":
+      return { body: buildFormBody(body), contentType: mediaType };
+    case "text":
+      return { body: fieldValue(body), contentType: mediaType };
+    case "binary": {
+      const file = await readFileArgument("body", body, options.uploadDir);
+      return { body: file.data, contentType: mediaType, files: [{ name: "body", path: file.path }] };
+    }
+    default:
+      return { body: JSON.stringify(body), contentType: mediaType };
+  }
+}
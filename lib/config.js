@@ -0,0 +1,273 @@
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+import { fileURLToPath } from "url";
+import { filterFromEnv, normalizeFilter } from "./filter.js";
+import { log, loggingFromEnv } from "./log.js";
+import { normalizeNaming } from "./naming.js";
+import { dangerousFromEnv, normalizeDangerous } from "./policy.js";
+import { isRemoteSpec } from "./remote.js";
+
+// Directory holding openapi-mcp.js, used to resolve relative spec paths
+const packageDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// Separator between a spec prefix and the tool name, e.g. waha__sendText
+export const PREFIX_SEPARATOR = "__";
+
+// Replace ${VAR} placeholders in config strings with environment variables
+function interpolate(value, env) {
+  if (typeof value === "string") {
+    return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, name) => {
+      if (env[name] === undefined) {
+        log.warn(`Environment variable ${name} referenced in config is not set`);
+        return "";
+      }
+      return env[name];
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => interpolate(item, env));
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, env)]));
+  }
+  return value;
+}
+
+// Resolve a spec path: URLs and absolute paths as-is, otherwise relative to the base directory, the script
+// directory or the working directory. With `fallback`, a missing file falls back to an
+// openapi.yaml in the script or working directory.
+export function resolveSpecPath(file, baseDir = packageDir, fallback = false) {
+  if (path.isAbsolute(file) || isRemoteSpec(file)) {
+    return file;
+  }
+
+  const candidates = [
+    path.resolve(baseDir, file),
+    path.resolve(packageDir, file),
+    path.resolve(process.cwd(), file),
+  ];
+  log.trace(`Looking for OpenAPI file ${file} at: ${candidates.join(", ")}`);
+
+  const found = candidates.find(candidate => fs.existsSync(candidate));
+  if (found) {
+    return found;
+  }
+
+  if (fallback) {
+    log("OpenAPI file not found at resolved path, trying alternate locations...");
+    const alternate = [path.join(packageDir, "openapi.yaml"), path.join(process.cwd(), "openapi.yaml")]
+      .find(candidate => fs.existsSync(candidate));
+    if (alternate) {
+      log(`Found OpenAPI file at: ${alternate}`);
+      return alternate;
+    }
+  }
+
+  throw new Error(`OpenAPI file not found at any of the searched locations: ${file}`);
+}
+
+// Environment variable prefix of static request headers
+const HEADER_ENV_PREFIX = "HTTP_HEADERS_";
+
+// Map an HTTP_HEADERS_<NAME> suffix to a header name: "_" becomes "-" and each word is
+// capitalized (X_API_KEY -> X-Api-Key); "__" stands for a literal underscore
+export function headerNameFromEnv(name) {
+  return name
+    .split("__")
+    .map(part => part
+      .split("_")
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+      .join("-"))
+    .join("_");
+}
+
+// Collect every HTTP_HEADERS_<NAME> environment variable as a request header
+export function headersFromEnv(env) {
+  const headers = {};
+  for (const [name, value] of Object.entries(env)) {
+    if (name.startsWith(HEADER_ENV_PREFIX) && name.length > HEADER_ENV_PREFIX.length && value !== undefined) {
+      headers[headerNameFromEnv(name.slice(HEADER_ENV_PREFIX.length))] = value;
+    }
+  }
+  return headers;
+}
+
+// Check that a per-operation map (keyed by operationId or "METHOD /path") holds objects
+function normalizeOperationMap(map, field, label) {
+  if (map === undefined) {
+    return {};
+  }
+  const valid = map && typeof map === "object" && !Array.isArray(map) &&
+    Object.values(map).every(value => value && typeof value === "object" && !Array.isArray(value));
+  if (!valid) {
+    throw new Error(`Invalid "${field}" in ${label}: expected an object of objects keyed by operation`);
+  }
+  return map;
+}
+
+// Normalize one spec entry of the config file
+function normalizeSpec(entry, index, configDir, defaults) {
+  if (!entry || typeof entry !== "object") {
+    throw new Error(`Invalid spec entry at index ${index}: expected an object`);
+  }
+  if (!entry.file) {
+    throw new Error(`Spec entry at index ${index} is missing "file"`);
+  }
+
+  const name = entry.name || `spec${index + 1}`;
+  if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+    throw new Error(`Invalid spec name "${name}": use letters, digits, "_" or "-"`);
+  }
+
+  return {
+    ...entry,
+    name,
+    file: resolveSpecPath(entry.file, configDir),
+    prefix: entry.prefix !== undefined ? entry.prefix : name,
+    baseUrl: entry.baseUrl,
+    headers: { ...defaults.headers, ...(entry.headers || {}) },
+    operationHeaders: {
+      ...defaults.operationHeaders,
+      ...normalizeOperationMap(entry.operationHeaders, "operationHeaders", `spec "${name}"`),
+    },
+    operationSettings: {
+      ...defaults.operationSettings,
+      ...normalizeOperationMap(entry.operationSettings, "operationSettings", `spec "${name}"`),
+    },
+    auth: entry.auth || {},
+    filter: normalizeFilter(entry.filter),
+    dangerous: normalizeDangerous(entry.dangerous),
+    naming: entry.naming && normalizeNaming(entry.naming.strategy, entry.naming.maxLength),
+  };
+}
+
+// Resolve a directory setting, expanding a leading ~ to the home directory as a shell would
+function resolveDir(dir, base = ".") {
+  if (!dir) {
+    return undefined;
+  }
+  const expanded = dir === "~" || /^~[\\/]/.test(dir) ? path.join(os.homedir(), dir.slice(1)) : dir;
+  return path.resolve(base, expanded);
+}
+
+// Build the server configuration from a config file (OPENAPI_MCP_CONFIG) or the
+// single-spec environment variables
+export function loadConfig(env = process.env) {
+  const global = {
+    duplicateKeyPolicy: env.DUPLICATE_KEY_POLICY || "first-wins",
+    responseOutputDir: resolveDir(env.RESPONSE_OUTPUT_DIR),
+    uploadDir: resolveDir(env.UPLOAD_DIR),
+    specCacheDir: resolveDir(env.SPEC_CACHE_DIR),
+    specFetchTimeout: env.SPEC_FETCH_TIMEOUT ? Number(env.SPEC_FETCH_TIMEOUT) : undefined,
+    watch: env.WATCH_SPEC !== "false",
+    filter: filterFromEnv(env),
+    readOnly: env.READ_ONLY === "true",
+    dangerous: dangerousFromEnv(env),
+    naming: normalizeNaming(env.TOOL_NAMING, env.TOOL_NAME_MAX_LENGTH),
+    descriptionMaxLength: env.TOOL_DESCRIPTION_MAX_LENGTH ? Number(env.TOOL_DESCRIPTION_MAX_LENGTH) : undefined,
+    contentTypeWithoutBody: env.CONTENT_TYPE_WITHOUT_BODY !== "false",
+    dryRun: env.DRY_RUN === "true",
+    retry: {
+      timeout: env.REQUEST_TIMEOUT,
+      retries: env.REQUEST_RETRIES,
+      baseDelay: env.RETRY_BASE_DELAY,
+      maxDelay: env.RETRY_MAX_DELAY,
+    },
+    response: {
+      maxSize: env.RESPONSE_MAX_SIZE,
+      compact: env.RESPONSE_COMPACT,
+      validation: env.RESPONSE_VALIDATION,
+    },
+    rateLimit: {
+      mode: env.RATE_LIMIT_MODE,
+      maxWait: env.RATE_LIMIT_MAX_WAIT,
+      global: env.RATE_LIMIT,
+      chat: env.RATE_LIMIT_CHAT,
+      tags: env.RATE_LIMIT_TAGS,
+    },
+    audit: {
+      file: env.AUDIT_LOG,
+      maxSize: env.AUDIT_LOG_MAX_SIZE,
+      rotate: env.AUDIT_LOG_ROTATE,
+    },
+    logging: loggingFromEnv(env),
+  };
+
+  if (!env.OPENAPI_MCP_CONFIG) {
+    return {
+      ...global,
+      specs: [
+        {
+          name: "default",
+          file: resolveSpecPath(env.OPENAPI_FILE || path.join(packageDir, "openapi.yaml"), packageDir, true),
+          prefix: "",
+          headers: headersFromEnv(env),
+          baseUrl: env.BASE_URL || undefined,
+          server: env.SERVER || undefined,
+          serverVariables: Object.fromEntries(
+            Object.entries(env)
+              .filter(([name]) => name.startsWith("SERVER_VARIABLE_"))
+              .map(([name, value]) => [name.slice("SERVER_VARIABLE_".length), value]),
+          ),
+          authEnv: Object.fromEntries(Object.entries(env).filter(([name]) => name.startsWith("AUTH_"))),
+        },
+      ],
+    };
+  }
+
+  const configPath = path.resolve(process.cwd(), env.OPENAPI_MCP_CONFIG);
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Failed to read config file ${configPath}: ${error.message}`);
+  }
+
+  const config = interpolate(raw, env);
+  if (!Array.isArray(config.specs) || config.specs.length === 0) {
+    throw new Error(`Config file ${configPath} must define a non-empty "specs" array`);
+  }
+
+  const defaults = {
+    headers: config.headers || {},
+    operationHeaders: normalizeOperationMap(config.operationHeaders, "operationHeaders", "config file"),
+    operationSettings: normalizeOperationMap(config.operationSettings, "operationSettings", "config file"),
+  };
+  const specs = config.specs.map((entry, index) => normalizeSpec(entry, index, path.dirname(configPath), defaults));
+
+  const names = new Set();
+  for (const spec of specs) {
+    if (names.has(spec.name)) {
+      throw new Error(`Duplicate spec name in config: ${spec.name}`);
+    }
+    names.add(spec.name);
+  }
+
+  return {
+    ...global,
+    ...config,
+    duplicateKeyPolicy: config.duplicateKeyPolicy || global.duplicateKeyPolicy,
+    responseOutputDir: resolveDir(config.responseOutputDir, path.dirname(configPath)) || global.responseOutputDir,
+    uploadDir: resolveDir(config.uploadDir, path.dirname(configPath)) || global.uploadDir,
+    specCacheDir: resolveDir(config.specCacheDir, path.dirname(configPath)) || global.specCacheDir,
+    filter: config.filter !== undefined ? normalizeFilter(config.filter) : global.filter,
+    dangerous: config.dangerous !== undefined ? normalizeDangerous(config.dangerous) : global.dangerous,
+    retry: { ...global.retry, ...config.retry },
+    response: { ...global.response, ...config.response },
+    rateLimit: { ...global.rateLimit, ...config.rateLimit },
+    audit: {
+      ...global.audit,
+      ...config.audit,
+      file: config.audit?.file ? path.resolve(path.dirname(configPath), config.audit.file) : global.audit.file,
+    },
+    logging: {
+      ...global.logging,
+      ...config.logging,
+      file: config.logging?.file ? path.resolve(path.dirname(configPath), config.logging.file) : global.logging.file,
+    },
+    naming: config.naming ? normalizeNaming(config.naming.strategy, config.naming.maxLength) : global.naming,
+    configPath,
+    specs,
+  };
+}
@@ -0,0 +1,126 @@
+// Default character budget of one tool description
+export const DEFAULT_DESCRIPTION_MAX_LENGTH = 1000;
+
+// Properties and enum values shown before a schema summary is cut short
+const MAX_SUMMARY_PROPERTIES = 8;
+const MAX_SUMMARY_ENUM_VALUES = 5;
+
+// Compact one-line rendering of a dereferenced schema, e.g. {name: string, status?: "A"|"B", tags: string[]}
+export function summarizeSchema(schema, depth = 2) {
+  if (!schema || typeof schema !== "object") {
+    return "any";
+  }
+
+  if (schema.enum) {
+    const values = schema.enum.slice(0, MAX_SUMMARY_ENUM_VALUES).map(value => JSON.stringify(value));
+    return values.join("|") + (schema.enum.length > MAX_SUMMARY_ENUM_VALUES ? "|…" : "");
+  }
+  if (schema.const !== undefined) {
+    return JSON.stringify(schema.const);
+  }
+
+  const variants = schema.oneOf || schema.anyOf;
+  if (variants) {
+    return variants.map(variant => summarizeSchema(variant, depth)).join(" | ");
+  }
+
+  const type = Array.isArray(schema.type) ? schema.type.filter(item => item !== "null")[0] : schema.type;
+
+  if (type === "array" || schema.items) {
+    const items = summarizeSchema(schema.items, depth);
+    return /[ |]/.test(items) && !items.startsWith("{") ? `(${items})[]` : `${items}[]`;
+  }
+
+  if (type === "object" || schema.properties) {
+    const properties = Object.entries(schema.properties || {});
+    if (properties.length === 0 || depth <= 0) {
+      return "object";
+    }
+
+    const required = schema.required || [];
+    const fields = properties
+      .slice(0, MAX_SUMMARY_PROPERTIES)
+      .map(([name, property]) => `${name}${required.includes(name) ? "" : "?"}: ${summarizeSchema(property, depth - 1)}`);
+    if (properties.length > MAX_SUMMARY_PROPERTIES) {
+      fields.push("…");
+    }
+    return `{${fields.join(", ")}}`;
+  }
+
+  return type ? (schema.format ? `${type}(${schema.format})` : type) : "any";
+}
+
+// Cut text to a length at a word boundary, marking the cut with an ellipsis
+function truncateText(text, maxLength) {
+  if (text.length <= maxLength) {
+    return text;
+  }
+  if (maxLength <= 1) {
+    return "";
+  }
+  const cut = text.slice(0, maxLength - 1);
+  const boundary = cut.lastIndexOf(" ");
+  return `${(boundary > maxLength / 2 ? cut.slice(0, boundary) : cut).trimEnd()}…`;
+}
+
+// Describe the documented success response, trying less detail until it fits
+function responseLine(response, maxLength) {
+  if (!response) {
+    return undefined;
+  }
+
+  const label = `Returns (${response.status}${response.contentType ? `, ${response.contentType}` : ""})`;
+  if (!response.schema) {
+    const line = response.description ? `${label}: ${response.description}` : label;
+    return line.length <= maxLength ? line : undefined;
+  }
+
+  for (const depth of [2, 1, 0]) {
+    const line = `${label}: ${summarizeSchema(response.schema, depth)}`;
+    if (line.length <= maxLength) {
+      return line;
+    }
+  }
+  return undefined;
+}
+
+// Build a tool description from the operation: deprecation and confirmation notes, summary,
+// description, method/path and tags, and the success response shape. Within the character budget the
+// method/path line and summary are kept first, then the response, then as much of the
+// long description as still fits.
+export function describeOperation(operation, options = {}) {
+  const maxLength = options.maxLength || DEFAULT_DESCRIPTION_MAX_LENGTH;
+  const method = operation.method.toUpperCase();
+  const endpoint = `${method} ${operation.path}`;
+  const separator = "\n\n";
+
+  const deprecation = operation.deprecated
+    ? "DEPRECATED: this operation may be removed; prefer a non-deprecated alternative."
+    : undefined;
+  const confirmation = options.dangerous
+    ? "DANGEROUS: a first call only previews the request and returns a confirmation token; " +
+      "call again with the same arguments and _confirm set to the token to execute it."
+    : undefined;
+  const summary = operation.summary && operation.summary !== endpoint ? operation.summary : undefined;
+  const details = operation.description && operation.description !== operation.summary
+    ? operation.description.trim()
+    : undefined;
+  const location = operation.tags?.length > 0 ? `${endpoint} · Tag: ${operation.tags.join(", ")}` : endpoint;
+
+  const essential = [deprecation, confirmation, summary, location].filter(Boolean);
+  let remaining = maxLength - essential.join(separator).length;
+  if (remaining < 0) {
+    return truncateText(essential.join(separator), maxLength);
+  }
+
+  const returns = responseLine(operation.response, remaining - separator.length);
+  if (returns) {
+    remaining -= returns.length + separator.length;
+  }
+
+  const description = details && remaining > separator.length + 20
+    ? truncateText(details, remaining - separator.length)
+    : undefined;
+
+  return [deprecation, confirmation, summary, description, location, returns].filter(Boolean).join(separator);
+}
@@ -0,0 +1,113 @@
+// Fields a tool filter can match on
+const FILTER_FIELDS = ["tags", "operations", "paths", "methods"];
+
+// Environment variables holding comma-separated filter rules, by rule kind and field
+const FILTER_ENV = {
+  include: { tags: "INCLUDE_TAGS", operations: "INCLUDE_OPERATIONS", paths: "INCLUDE_PATHS", methods: "INCLUDE_METHODS" },
+  exclude: { tags: "EXCLUDE_TAGS", operations: "EXCLUDE_OPERATIONS", paths: "EXCLUDE_PATHS", methods: "EXCLUDE_METHODS" },
+};
+
+// Split a comma-separated list, dropping empty entries
+function splitList(value) {
+  return value.split(",").map(item => item.trim()).filter(Boolean);
+}
+
+// Convert a glob to a regular expression: `*` stays within a path segment, `**` crosses them, `?` is one character
+export function globToRegExp(glob) {
+  const pattern = glob
+    .split(/(\*\*|\*|\?)/)
+    .map(part => {
+      if (part === "**") return ".*";
+      if (part === "*") return "[^/]*";
+      if (part === "?") return "[^/]";
+      return part.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${pattern}$`);
+}
+
+// Normalize one side (include or exclude) of a filter, or another rule set, to arrays of rules
+export function normalizeRules(rules, kind, label = "tool filter") {
+  if (rules === undefined) {
+    return {};
+  }
+  if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+    throw new Error(`Invalid ${label} "${kind}": expected an object`);
+  }
+
+  const normalized = {};
+  for (const [field, value] of Object.entries(rules)) {
+    if (!FILTER_FIELDS.includes(field)) {
+      throw new Error(`Unknown ${label} field "${kind}.${field}" (expected ${FILTER_FIELDS.join(", ")})`);
+    }
+    const list = typeof value === "string" ? splitList(value) : value;
+    if (!Array.isArray(list) || list.some(item => typeof item !== "string")) {
+      throw new Error(`Invalid ${label} field "${kind}.${field}": expected a list of strings`);
+    }
+    if (list.length > 0) {
+      normalized[field] = list;
+    }
+  }
+  return normalized;
+}
+
+// Normalize a filter from the config file, returning undefined when it has no rules
+export function normalizeFilter(filter) {
+  if (filter === undefined || filter === null) {
+    return undefined;
+  }
+  if (typeof filter !== "object" || Array.isArray(filter)) {
+    throw new Error("Invalid tool filter: expected an object with \"include\" and/or \"exclude\"");
+  }
+
+  const include = normalizeRules(filter.include, "include");
+  const exclude = normalizeRules(filter.exclude, "exclude");
+  if (Object.keys(include).length === 0 && Object.keys(exclude).length === 0) {
+    return undefined;
+  }
+  return { include, exclude };
+}
+
+// Build a filter from the INCLUDE_* / EXCLUDE_* environment variables
+export function filterFromEnv(env) {
+  const filter = {};
+  for (const [kind, fields] of Object.entries(FILTER_ENV)) {
+    for (const [field, name] of Object.entries(fields)) {
+      if (env[name]) {
+        filter[kind] = { ...filter[kind], [field]: env[name] };
+      }
+    }
+  }
+  return normalizeFilter(filter);
+}
+
+// Compare tags without case or decorations such as the emoji in "🖥️ Sessions"
+function normalizeTag(tag) {
+  return tag.replace(/[^\p{L}\p{N}]+/gu, " ").trim().toLowerCase();
+}
+
+// Check whether an operation matches every field listed in the rules (or, without `requireAll`,
+// any of them), where any value of a field matches
+export function matchesRules(operation, rules, requireAll) {
+  const checks = {
+    tags: tag => (operation.tags || []).some(candidate => normalizeTag(candidate) === normalizeTag(tag)),
+    operations: glob => globToRegExp(glob).test(operation.operationId),
+    paths: glob => globToRegExp(glob).test(operation.path),
+    methods: method => operation.method.toLowerCase() === method.toLowerCase(),
+  };
+
+  const results = Object.entries(rules).map(([field, values]) => values.some(checks[field]));
+  return requireAll ? results.every(Boolean) : results.some(Boolean);
+}
+
+// Check whether an operation is exposed by a filter. Every include field present must match,
+// and a match on any exclude field hides the operation.
+export function isOperationAllowed(operation, filter) {
+  if (!filter) {
+    return true;
+  }
+  if (Object.keys(filter.include).length > 0 && !matchesRules(operation, filter.include, true)) {
+    return false;
+  }
+  return !matchesRules(operation, filter.exclude, false);
+}
@@ -0,0 +1,181 @@
+import * as fs from "node:fs";
+import yaml from "js-yaml";
+import { log } from "./log.js";
+
+// How duplicate mapping keys in the spec are resolved
+export const DUPLICATE_KEY_POLICIES = ["first-wins", "last-wins", "error"];
+
+// Upper bound on in-memory repairs, so a pathological file cannot loop forever
+const MAX_REPAIRS = 1000;
+
+// Check whether a js-yaml error is a duplicate key error
+function isDuplicateKeyError(error) {
+  return error instanceof yaml.YAMLException && error.reason === "duplicated mapping key" && error.mark;
+}
+
+// Read the duplicated key name at the position reported by js-yaml
+function keyAt(line, column) {
+  const rest = line.slice(column);
+  const match = rest.match(/^(?:"([^"]*)"|'([^']*)'|([^:]+?))\s*:/);
+  return match ? (match[1] ?? match[2] ?? match[3]).trim() : rest.trim();
+}
+
+// Find the line after the block that belongs to the key starting at `start`
+function blockEnd(lines, start, indent) {
+  let end = start + 1;
+  while (end < lines.length) {
+    const line = lines[end];
+    const lineIndent = line.length - line.trimStart().length;
+    const isContinuation =
+      line.trim() === "" ||
+      lineIndent > indent ||
+      (lineIndent === indent && line.trimStart().startsWith("- "));
+    if (!isContinuation) break;
+    end++;
+  }
+  return end;
+}
+
+// Validate OpenAPI schema structure; returns a list of problems (empty when valid)
+export function validateOpenApiSpec(spec) {
+  log("Validating OpenAPI specification structure");
+
+  if (!spec || typeof spec !== "object") {
+    return ["OpenAPI spec is not an object"];
+  }
+
+  // Check for required top-level fields
+  const requiredFields = ["openapi", "info", "paths"];
+  const missingFields = requiredFields.filter(field => !spec[field]);
+  if (missingFields.length > 0) {
+    return [`OpenAPI spec is missing required fields: ${missingFields.join(", ")}`];
+  }
+
+  const problems = [];
+
+  // Check for required info fields
+  const requiredInfoFields = ["title", "version"];
+  const missingInfoFields = requiredInfoFields.filter(field => !spec.info[field]);
+  if (missingInfoFields.length > 0) {
+    problems.push(`OpenAPI info is missing required fields: ${missingInfoFields.join(", ")}`);
+  }
+
+  // Check if paths is an object with at least one path
+  if (typeof spec.paths !== "object" || Array.isArray(spec.paths)) {
+    problems.push("OpenAPI paths is not an object");
+  } else if (Object.keys(spec.paths).length === 0) {
+    problems.push("OpenAPI spec does not define any paths");
+  }
+
+  // Check openapi version format
+  if (!String(spec.openapi).match(/^(3\.\d+\.\d+)$/)) {
+    problems.push(`OpenAPI version format is incorrect: ${spec.openapi}`);
+  }
+
+  if (problems.length === 0) {
+    log("OpenAPI specification structure is valid");
+  }
+  return problems;
+}
+
+// Parse YAML (or JSON) spec content without touching the source.
+// Duplicate keys are resolved in memory according to the policy and recorded as diagnostics.
+export function parseOpenApiContent(content, options = {}) {
+  const policy = options.duplicateKeyPolicy || "first-wins";
+  if (!DUPLICATE_KEY_POLICIES.includes(policy)) {
+    throw new Error(`Unknown duplicate key policy: ${policy} (expected ${DUPLICATE_KEY_POLICIES.join(", ")})`);
+  }
+
+  const diagnostics = [];
+  const lines = content.split(/\r?\n/);
+  let spec;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      spec = yaml.load(lines.join("\n"));
+      break;
+    } catch (error) {
+      if (!isDuplicateKeyError(error)) {
+        throw new Error(`Failed to parse YAML content: ${error.message}`);
+      }
+
+      const { line, column } = error.mark;
+      const key = keyAt(lines[line], column);
+
+      if (policy === "error") {
+        throw new Error(`Duplicate key "${key}" at line ${line + 1}, column ${column + 1}`);
+      }
+
+      // Keys inside inline {flow} mappings cannot be cut out line by line;
+      // let js-yaml keep the last occurrence for whatever is left
+      if (attempt >= MAX_REPAIRS || lines[line].slice(0, column).trim() !== "") {
+        diagnostics.push({
+          type: "duplicate-key",
+          line: line + 1,
+          column: column + 1,
+          key,
+          action: "kept last occurrence (inline mapping, remaining duplicates resolved by the parser)",
+        });
+        spec = yaml.load(lines.join("\n"), { json: true });
+        break;
+      }
+
+      diagnostics.push({
+        type: "duplicate-key",
+        line: line + 1,
+        column: column + 1,
+        key,
+        action: policy === "first-wins"
+          ? "ignored this occurrence, kept the first"
+          : "this occurrence overrides the earlier one",
+      });
+
+      // Blank the duplicate block instead of removing it, so later line numbers stay accurate
+      const end = blockEnd(lines, line, column);
+      for (let index = line; index < end; index++) {
+        lines[index] = "";
+      }
+    }
+  }
+
+  // Last-wins reparses the untouched content and lets later keys override earlier ones
+  if (policy === "last-wins" && diagnostics.length > 0) {
+    spec = yaml.load(content, { json: true });
+  }
+
+  for (const problem of validateOpenApiSpec(spec)) {
+    diagnostics.push({ type: "structure", message: problem, action: "using the spec anyway" });
+  }
+
+  return { spec, diagnostics };
+}
+
+// Parse an OpenAPI file; the file is only ever read, never rewritten
+export function parseOpenApiFile(filePath, options = {}) {
+  try {
+    log.trace(`Attempting to read file at path: ${filePath}`);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`OpenAPI file does not exist at path: ${filePath}`);
+    }
+
+    const fileContent = fs.readFileSync(filePath, "utf8");
+    log.trace(`Successfully read file, content length: ${fileContent.length} bytes`);
+
+    const result = parseOpenApiContent(fileContent, options);
+    log("Successfully parsed OpenAPI spec:", result.spec?.info?.title);
+    return { ...result, source: filePath };
+  } catch (error) {
+    log.error("Error parsing OpenAPI file:", error);
+    throw new Error(`Failed to parse OpenAPI file: ${error.message}`);
+  }
+}
+
+// Render diagnostics as human-readable report lines
+export function formatDiagnostics(diagnostics, source) {
+  return diagnostics.map(diagnostic => {
+    if (diagnostic.type === "duplicate-key") {
+      return `${source}:${diagnostic.line}:${diagnostic.column}: duplicate key "${diagnostic.key}" - ${diagnostic.action}`;
+    }
+    return `${source}: ${diagnostic.message} - ${diagnostic.action}`;
+  });
+}
@@ -0,0 +1,189 @@
+import * as fs from "node:fs";
+import * as path from "node:path";
+import { isSensitiveName, REDACTED } from "./redact.js";
+
+// Log levels from the most to the least severe; a level shows its own messages and the more severe ones
+export const LOG_LEVELS = ["error", "warn", "info", "debug", "trace"];
+
+// Output formats: readable lines or one JSON object per line
+export const LOG_FORMATS = ["text", "json"];
+
+// Secret values shorter than this are left alone, so that "1" or "true" stay readable
+const MIN_SECRET_LENGTH = 4;
+
+// Settings set by configureLogging. Until then they are read from the environment on every call,
+// because .env is loaded after the imports run.
+let configured;
+
+// Secret values that must never appear in a log line, e.g. credentials and OAuth2 tokens
+const secrets = new Set();
+
+// Read the logging settings from LOG_LEVEL, LOG_FORMAT, LOG_FILE and LOG_REDACT; DEBUG=true still
+// means the debug level
+export function loggingFromEnv(env) {
+  return {
+    level: env.LOG_LEVEL || (env.DEBUG === "true" ? "debug" : undefined),
+    format: env.LOG_FORMAT,
+    file: env.LOG_FILE,
+    redact: env.LOG_REDACT,
+  };
+}
+
+// Build the logging settings from the defaults and any number of partial overrides:
+// { level, format, file, redact } where `redact` lists extra field names to hide
+export function loggingSettings(...overrides) {
+  const settings = { level: "warn", format: "text", file: undefined, redact: [] };
+  for (const override of overrides) {
+    for (const key of ["level", "format", "file"]) {
+      if (override?.[key] !== undefined && override[key] !== "") {
+        settings[key] = override[key];
+      }
+    }
+    const redact = typeof override?.redact === "string" ? override.redact.split(",") : override?.redact || [];
+    settings.redact = [...settings.redact, ...redact.map(name => name.trim()).filter(Boolean)];
+  }
+
+  if (!LOG_LEVELS.includes(settings.level)) {
+    throw new Error(`Invalid log level: ${settings.level} (expected one of ${LOG_LEVELS.join(", ")})`);
+  }
+  if (!LOG_FORMATS.includes(settings.format)) {
+    throw new Error(`Invalid log format: ${settings.format} (expected one of ${LOG_FORMATS.join(", ")})`);
+  }
+  settings.file = settings.file && path.resolve(settings.file);
+  return settings;
+}
+
+// Apply logging settings for the rest of the process
+export function configureLogging(settings) {
+  configured = settings;
+}
+
+// Remember secret values (credentials, tokens) so that they are redacted wherever they show up
+export function registerSecrets(...values) {
+  for (const value of values) {
+    if (typeof value === "string" && value.length >= MIN_SECRET_LENGTH) {
+      secrets.add(value);
+    }
+  }
+}
+
+// Current settings, from configureLogging or the environment. Invalid environment settings are
+// reported when the server starts; until then the defaults apply, so that logging never throws.
+function currentSettings() {
+  if (configured) {
+    return configured;
+  }
+  try {
+    return loggingSettings(loggingFromEnv(process.env));
+  } catch {
+    return loggingSettings();
+  }
+}
+
+// Secret values of the environment: variables whose name suggests a secret, except URLs
+function environmentSecrets() {
+  return Object.entries(process.env)
+    .filter(([name, value]) => isSensitiveName(name) && !/_URL$/i.test(name) && value?.length >= MIN_SECRET_LENGTH)
+    .map(([, value]) => value);
+}
+
+// Check whether a field must be hidden: its name suggests a secret or it is configured for redaction
+function isRedactedField(name, settings) {
+  return isSensitiveName(name) || settings.redact.some(field => field.toLowerCase() === String(name).toLowerCase());
+}
+
+// Decode a query parameter name, keeping it as it is when it is not valid percent-encoding
+function decodeName(name) {
+  try {
+    return decodeURIComponent(name);
+  } catch {
+    return name;
+  }
+}
+
+// Redact a text: known secret values, bearer and basic credentials, and sensitive query parameters
+function redactText(text, settings) {
+  let redacted = text;
+  for (const secret of [...secrets, ...environmentSecrets()]) {
+    redacted = redacted.split(secret).join(REDACTED);
+  }
+  return redacted
+    .replace(/\b(Bearer|Basic) [A-Za-z0-9._~+/-]{8,}=*/g, `$1 ${REDACTED}`)
+    .replace(/([?&])([^=&\s#]+)=([^&\s#]*)/g, (match, separator, name) =>
+      isRedactedField(decodeName(name), settings) ? `${separator}${name}=${REDACTED}` : match);
+}
+
+// Copy a value with secrets redacted: sensitive or configured fields at any depth and secrets in strings
+function redactDeep(value, settings) {
+  if (typeof value === "string") {
+    return redactText(value, settings);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactDeep(item, settings));
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        isRedactedField(key, settings) ? REDACTED : redactDeep(item, settings),
+      ]),
+    );
+  }
+  return value;
+}
+
+// Redact a value the way log output is redacted, e.g. tool arguments written to the audit log
+export function redactSecrets(value) {
+  return redactDeep(value, currentSettings());
+}
+
+// Turn one log argument into text: errors by their message (with the stack at trace level),
+// objects as redacted JSON
+function formatArgument(arg, settings) {
+  if (arg instanceof Error) {
+    return settings.level === "trace" && arg.stack ? arg.stack : String(arg);
+  }
+  if (arg && typeof arg === "object") {
+    try {
+      return JSON.stringify(redactDeep(arg, settings));
+    } catch {
+      // Circular structures cannot be shown as JSON
+      return Object.prototype.toString.call(arg);
+    }
+  }
+  return String(arg);
+}
+
+// Write one message at a level to stderr and the log file, if the level is enabled
+function write(level, args) {
+  const settings = currentSettings();
+  if (LOG_LEVELS.indexOf(level) > LOG_LEVELS.indexOf(settings.level)) {
+    return;
+  }
+
+  const message = redactText(args.map(arg => formatArgument(arg, settings)).join(" "), settings);
+  const time = new Date().toISOString();
+  const line = settings.format === "json"
+    ? JSON.stringify({ time, level, message })
+    : `[${level.toUpperCase()} ${time}] ${message}`;
+
+  process.stderr.write(`${line}\n`);
+  if (settings.file) {
+    try {
+      fs.mkdirSync(path.dirname(settings.file), { recursive: true });
+      fs.appendFileSync(settings.file, `${line}\n`);
+    } catch {
+      // Logging must never break the server; the line still went to stderr
+    }
+  }
+}
+
+// Logging helper shared by the server modules. log() writes at debug level; log.error, log.warn,
+// log.info, log.debug and log.trace pick the level.
+export function log(...args) {
+  write("debug", args);
+}
+
+for (const level of LOG_LEVELS) {
+  log[level] = (...args) => write(level, args);
+}
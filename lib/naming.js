@@ -0,0 +1,78 @@
+import { createHash } from "node:crypto";
+
+// How tool names are derived from operations
+export const TOOL_NAMING_STRATEGIES = ["operationId", "summary", "tag"];
+
+// Longest tool name accepted by common MCP clients
+export const DEFAULT_MAX_TOOL_NAME_LENGTH = 64;
+
+// Shortest budget that still leaves room for a readable part next to the hash
+const MIN_TOOL_NAME_LENGTH = 16;
+
+// Length of the hash suffix appended to shortened names
+const HASH_LENGTH = 8;
+
+// Convert free text or camelCase to snake_case
+export function toSnakeCase(text) {
+  return String(text)
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .replace(/[^A-Za-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .toLowerCase();
+}
+
+// Replace characters clients reject; only letters, digits, "_" and "-" remain
+export function sanitizeToolName(name) {
+  return String(name)
+    .replace(/_*[^A-Za-z0-9_-]+_*/g, "_")
+    .replace(/^[_-]+|[_-]+$/g, "");
+}
+
+// Shorten a name to the budget, keeping it unique with a stable hash of the full name
+export function fitToolName(name, maxLength = DEFAULT_MAX_TOOL_NAME_LENGTH) {
+  if (name.length <= maxLength) {
+    return name;
+  }
+  const hash = createHash("sha256").update(name).digest("hex").slice(0, HASH_LENGTH);
+  return `${name.slice(0, maxLength - HASH_LENGTH - 1).replace(/[_-]+$/, "")}_${hash}`;
+}
+
+// Base name of an operation under a naming strategy
+function baseName(operation, strategy) {
+  switch (strategy) {
+    case "summary":
+      return toSnakeCase(operation.summary) || operation.operationId;
+    case "tag": {
+      const tag = operation.tags?.[0];
+      return tag ? `${toSnakeCase(tag)}_${operation.operationId}` : operation.operationId;
+    }
+    default:
+      return operation.operationId;
+  }
+}
+
+// Build the MCP tool name of an operation: strategy base name, optional prefix, sanitized and
+// fitted to the length budget. The same operation always gets the same name.
+export function buildToolName(operation, options = {}) {
+  const separator = options.separator || "__";
+  const base = sanitizeToolName(baseName(operation, options.strategy)) || "operation";
+  const prefix = options.prefix && sanitizeToolName(options.prefix);
+  const name = prefix ? `${prefix}${separator}${base}` : base;
+  return fitToolName(name, options.maxLength || DEFAULT_MAX_TOOL_NAME_LENGTH);
+}
+
+// Validate and normalize naming settings from the environment or the config file
+export function normalizeNaming(strategy, maxLength) {
+  const naming = {
+    strategy: strategy || "operationId",
+    maxLength: maxLength !== undefined && maxLength !== "" ? Number(maxLength) : DEFAULT_MAX_TOOL_NAME_LENGTH,
+  };
+
+  if (!TOOL_NAMING_STRATEGIES.includes(naming.strategy)) {
+    throw new Error(`Unknown tool naming strategy: ${naming.strategy} (expected ${TOOL_NAMING_STRATEGIES.join(", ")})`);
+  }
+  if (!Number.isInteger(naming.maxLength) || naming.maxLength < MIN_TOOL_NAME_LENGTH) {
+    throw new Error(`Invalid tool name length budget: ${maxLength} (expected an integer of at least ${MIN_TOOL_NAME_LENGTH})`);
+  }
+  return naming;
+}
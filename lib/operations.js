@@ -0,0 +1,159 @@
+import { bodyInputSchema, selectMediaType } from "./body.js";
+import { isOperationAllowed } from "./filter.js";
+import { log } from "./log.js";
+import { assignArgumentNames, mergeParameters } from "./params.js";
+import { dereferenceSchema, parameterSchema, resolveRef } from "./schema.js";
+
+const HTTP_METHODS = ["get", "post", "put", "delete", "patch", "options", "head"];
+
+// Dereference the schema of the chosen request body media type
+function requestBodySchema(requestBody, contentType, root) {
+  const schema = dereferenceSchema(requestBody.content[contentType].schema || {}, root);
+  const hasType = schema.type || schema.oneOf || schema.anyOf;
+
+  return {
+    ...(hasType ? {} : { type: "object" }),
+    ...schema,
+    description: requestBody.description || schema.description || "Request body",
+  };
+}
+
+// Pick the documented success response (lowest 2xx status, then "2XX") and dereference its schema
+function successResponse(responses, root) {
+  const status = Object.keys(responses || {})
+    .filter(code => /^2(\d\d|XX)$/i.test(code))
+    .sort()[0];
+  if (!status) {
+    return undefined;
+  }
+
+  try {
+    const response = resolveRef(responses[status], root) || {};
+    const contentType = response.content && selectMediaType(response.content);
+    return {
+      status,
+      description: response.description || "",
+      contentType,
+      schema: contentType ? dereferenceSchema(response.content[contentType].schema || {}, root) : undefined,
+    };
+  } catch (error) {
+    log.warn(`Unable to read the ${status} response:`, error.message);
+    return undefined;
+  }
+}
+
+// Dereference the schemas of every declared response, by status and media type.
+// A status without content maps to an empty object.
+function responseSchemas(responses, root) {
+  const schemas = {};
+  for (const [status, value] of Object.entries(responses || {})) {
+    try {
+      const content = (resolveRef(value, root) || {}).content || {};
+      schemas[status] = Object.fromEntries(
+        Object.entries(content)
+          .filter(([, media]) => media && media.schema)
+          .map(([contentType, media]) => [contentType, dereferenceSchema(media.schema, root)]),
+      );
+    } catch (error) {
+      log.warn(`Unable to read the ${status} response:`, error.message);
+    }
+  }
+  return schemas;
+}
+
+// Extract operations from OpenAPI spec, keeping only those allowed by `options.filter`
+export function extractOperations(openApiSpec, options = {}) {
+  try {
+    const operations = [];
+    const paths = openApiSpec.paths || {};
+
+    log(`Processing ${Object.keys(paths).length} paths from OpenAPI spec`);
+
+    for (const [path, pathObject] of Object.entries(paths)) {
+      for (const [method, operation] of Object.entries(pathObject)) {
+        try {
+          if (HTTP_METHODS.includes(method)) {
+            // Generate a unique name for the operation
+            const operationId = operation.operationId || `${method}_${path.replace(/\W+/g, "_")}`;
+            const tags = operation.tags || [];
+
+            if (!isOperationAllowed({ operationId, path, method, tags }, options.filter)) {
+              log.trace(`Skipping operation hidden by the tool filter: ${operationId} (${method.toUpperCase()} ${path})`);
+              continue;
+            }
+            log.trace(`Processing operation: ${operationId} (${method.toUpperCase()} ${path})`);
+
+            // Extract parameters and request body, following any $refs
+            const requestBody = operation.requestBody && resolveRef(operation.requestBody, openApiSpec);
+            const parameters = assignArgumentNames(
+              mergeParameters(
+                (pathObject.parameters || []).map(param => resolveRef(param, openApiSpec)),
+                (operation.parameters || []).map(param => resolveRef(param, openApiSpec)),
+              ),
+              requestBody ? ["body"] : [],
+            );
+
+            // Build input schema for the tool
+            const properties = {};
+            const required = [];
+
+            // Add path, query, header and cookie parameters. Path parameters are always marked
+            // required in the spec, so one with a default is optional for the tool.
+            parameters.forEach(param => {
+              properties[param.argument] = parameterSchema(param, openApiSpec);
+              if (param.required && !(param.in === "path" && properties[param.argument].default !== undefined)) {
+                required.push(param.argument);
+              }
+            });
+
+            // Add request body if present, using the best supported media type
+            const requestContentType = requestBody && selectMediaType(requestBody.content);
+            let bodySchema;
+            if (requestContentType) {
+              bodySchema = requestBodySchema(requestBody, requestContentType, openApiSpec);
+              properties.body = bodyInputSchema(bodySchema, requestContentType);
+              if (requestBody.required) required.push("body");
+            }
+
+            operations.push({
+              operationId,
+              path,
+              method,
+              summary: operation.summary || `${method.toUpperCase()} ${path}`,
+              description: operation.description || "",
+              tags,
+              deprecated: Boolean(operation.deprecated),
+              parameters,
+              requestBody,
+              requestContentType,
+              requestBodySchema: bodySchema,
+              response: successResponse(operation.responses, openApiSpec),
+              responseSchemas: responseSchemas(operation.responses, openApiSpec),
+              security: operation.security || openApiSpec.security || [],
+              servers: operation.servers || pathObject.servers,
+              inputSchema: {
+                type: "object",
+                properties,
+                required,
+              },
+            });
+          }
+        } catch (operationError) {
+          log.error(`Error processing operation ${method} ${path}:`, operationError);
+          // Continue with next operation
+        }
+      }
+    }
+
+    if (operations.length === 0) {
+      log.warn("No operations extracted from OpenAPI spec");
+    } else {
+      log.info(`Successfully extracted ${operations.length} operations`);
+    }
+
+    return operations;
+  } catch (error) {
+    log.error("Error extracting operations:", error);
+    throw new Error(`Failed to extract operations: ${error.message}`);
+  }
+}
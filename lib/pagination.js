@@ -0,0 +1,256 @@
+import { log } from "./log.js";
+
+// Tool arguments asking a paginated operation for every page
+export const FETCH_ALL_ARGUMENT = "fetchAll";
+export const MAX_ITEMS_ARGUMENT = "maxItems";
+
+// Items collected when fetchAll is set without maxItems, and the page count that always stops the loop
+export const DEFAULT_MAX_ITEMS = 1000;
+const MAX_PAGES = 100;
+
+// Supported pagination styles and the query parameters each one needs
+const PAGINATION_STYLES = { offset: ["offset"], page: ["page"], cursor: ["cursor"] };
+
+// Query parameter names recognized per role, compared without case, "_" or "-"
+const PARAMETER_NAMES = {
+  offset: ["offset", "skip", "start"],
+  page: ["page", "pagenumber", "pageno", "pagenum"],
+  cursor: ["cursor", "after", "pagetoken", "nexttoken", "continuationtoken", "startingafter"],
+  limit: ["limit", "size", "pagesize", "perpage", "count", "take", "top", "maxresults"],
+};
+
+// Properties of a page object that hold its items, tried in order before any other array
+const ITEM_FIELDS = ["items", "data", "results", "records", "entries", "values", "rows"];
+
+// Properties holding the cursor of the next page, and the objects they are commonly nested in
+const CURSOR_FIELDS = [
+  "next_cursor", "nextCursor", "next_page_token", "nextPageToken", "next_token", "nextToken", "cursor",
+];
+const CURSOR_CONTAINERS = ["meta", "pagination", "paging", "page_info", "pageInfo", "response_metadata"];
+
+// Compare parameter names loosely: pageSize, page_size and page-size are the same
+function looseName(name) {
+  return name.toLowerCase().replace(/[_-]/g, "");
+}
+
+// Find the query parameter playing a pagination role
+function findParameter(operation, role) {
+  return (operation.parameters || []).find(param =>
+    param.in === "query" && PARAMETER_NAMES[role].includes(looseName(param.name)));
+}
+
+// Find a query parameter by its name in the spec, for configured pagination
+function namedParameter(operation, name) {
+  const param = (operation.parameters || []).find(candidate => candidate.in === "query" && candidate.name === name);
+  if (!param) {
+    throw new Error(`Invalid pagination for ${operation.operationId}: it has no query parameter "${name}"`);
+  }
+  return param;
+}
+
+// First page number of a page-style operation: the parameter's default or minimum, else 1
+function firstPage(param) {
+  return Number(param.schema?.default ?? param.schema?.minimum ?? 1);
+}
+
+// Work out how an operation is paginated, from its query parameters or the configured override.
+// `false` disables pagination; an object names the style, its parameters (by their name in the
+// spec) and optionally where the items and the next cursor are in the response.
+// Returns { style, offset|page|cursor, limit, firstPage, itemsPath, cursorPath } with argument
+// names, or undefined when the operation is not paginated.
+export function operationPagination(operation, override) {
+  if (override === false || operation.method !== "get") {
+    return undefined;
+  }
+
+  const taken = [FETCH_ALL_ARGUMENT, MAX_ITEMS_ARGUMENT].filter(name => operation.inputSchema?.properties?.[name]);
+  if (taken.length > 0) {
+    log(`Not paginating ${operation.operationId}: it already has a ${taken.join(" and ")} argument`);
+    return undefined;
+  }
+
+  if (override && typeof override === "object") {
+    if (!PAGINATION_STYLES[override.style]) {
+      throw new Error(
+        `Invalid pagination style for ${operation.operationId}: ${override.style} ` +
+        `(expected one of ${Object.keys(PAGINATION_STYLES).join(", ")})`,
+      );
+    }
+    const [role] = PAGINATION_STYLES[override.style];
+    const param = namedParameter(operation, override[role] || role);
+    const limit = override.limit ? namedParameter(operation, override.limit) : findParameter(operation, "limit");
+    return {
+      style: override.style,
+      [role]: param.argument,
+      limit: limit?.argument,
+      firstPage: override.style === "page" ? firstPage(param) : undefined,
+      itemsPath: override.itemsPath,
+      cursorPath: override.cursorPath,
+    };
+  }
+
+  const limit = findParameter(operation, "limit");
+  const cursor = findParameter(operation, "cursor");
+  if (cursor) {
+    return { style: "cursor", cursor: cursor.argument, limit: limit?.argument };
+  }
+  const offset = findParameter(operation, "offset");
+  if (offset && limit) {
+    return { style: "offset", offset: offset.argument, limit: limit.argument };
+  }
+  const page = findParameter(operation, "page");
+  if (page) {
+    return { style: "page", page: page.argument, limit: limit?.argument, firstPage: firstPage(page) };
+  }
+  return undefined;
+}
+
+// Read a dot-separated path such as "meta.next_cursor"
+function readPath(value, path) {
+  return path
+    .split(".")
+    .reduce((current, key) => (current && typeof current === "object" ? current[key] : undefined), value);
+}
+
+// Find the items of one page: the body itself, the configured path, a well-known property or
+// the only array property of the body
+function pageItems(body, itemsPath) {
+  if (itemsPath) {
+    const items = readPath(body, itemsPath);
+    return Array.isArray(items) ? { items, key: itemsPath } : undefined;
+  }
+  if (Array.isArray(body)) {
+    return { items: body };
+  }
+  if (!body || typeof body !== "object") {
+    return undefined;
+  }
+
+  const arrays = Object.keys(body).filter(key => Array.isArray(body[key]));
+  const key = ITEM_FIELDS.find(field => arrays.includes(field)) || (arrays.length === 1 ? arrays[0] : undefined);
+  return key ? { items: body[key], key } : undefined;
+}
+
+// Find the cursor of the next page in a response body
+function nextCursor(body, cursorPath) {
+  if (cursorPath) {
+    return readPath(body, cursorPath);
+  }
+  if (!body || typeof body !== "object") {
+    return undefined;
+  }
+
+  for (const container of [body, ...CURSOR_CONTAINERS.map(name => body[name])]) {
+    if (!container || typeof container !== "object") continue;
+    const field = CURSOR_FIELDS.find(name => ["string", "number"].includes(typeof container[name]));
+    if (field !== undefined && container[field] !== "") {
+      return container[field];
+    }
+  }
+  return undefined;
+}
+
+// Copy a page body with its items replaced by the merged items
+function withItems(body, key, items) {
+  if (key === undefined) {
+    return items;
+  }
+
+  const [head, ...rest] = key.split(".");
+  return { ...body, [head]: rest.length === 0 ? items : withItems(body[head], rest.join("."), items) };
+}
+
+// Follow the pages of an operation until they run out, `maxItems` items were collected or the
+// page limit is reached. `sendPage(args)` requests one page. The result is the first page with
+// the items of every page merged in, plus { style, pages, items, complete, stoppedBy } metadata.
+// A first page that is not a successful list is returned as it is. `sendPage` may answer
+// { rateLimited: true } instead of a response to stop before a page.
+export async function fetchAllPages(pagination, args, maxItems, sendPage) {
+  const items = [];
+  let pageArgs = { ...args };
+  let pageSize = args[pagination.limit] !== undefined ? Number(args[pagination.limit]) : undefined;
+  let pages = 0;
+  let attempts = 0;
+  let first;
+  let last;
+  let stoppedBy = "exhausted";
+  const seen = new Set();
+
+  while (true) {
+    const result = await sendPage(pageArgs);
+    if (result.rateLimited && first) {
+      stoppedBy = "rate limit";
+      break;
+    }
+    pages += 1;
+    attempts += result.attempts || 1;
+
+    const page = !result.binary && result.status < 300 ? pageItems(result.body, pagination.itemsPath) : undefined;
+    if (!page) {
+      if (!first) {
+        return result;
+      }
+      stoppedBy = result.status < 300 ? "page without items" : `HTTP ${result.status}`;
+      break;
+    }
+    first = first || { result, key: page.key };
+    last = result;
+
+    // Servers that ignore the pagination parameters repeat the same page forever
+    const fingerprint = JSON.stringify(page.items[0] ?? null);
+    if (page.items.length > 0 && pages > 1 && seen.has(fingerprint)) {
+      stoppedBy = "repeated page";
+      break;
+    }
+    seen.add(fingerprint);
+
+    items.push(...page.items);
+    if (items.length >= maxItems) {
+      stoppedBy = "maxItems";
+      items.length = maxItems;
+      break;
+    }
+    if (page.items.length === 0) {
+      break;
+    }
+    // A server that caps the limit answers the first page with fewer items than asked for; only
+    // a page shorter than that cap is the last one
+    if (pages === 1) {
+      pageSize = Math.min(pageSize ?? Infinity, page.items.length);
+    }
+
+    if (pagination.style === "cursor") {
+      const cursor = nextCursor(result.body, pagination.cursorPath);
+      if (cursor === undefined || cursor === null || String(cursor) === String(pageArgs[pagination.cursor])) {
+        break;
+      }
+      pageArgs = { ...pageArgs, [pagination.cursor]: cursor };
+    } else if (page.items.length < pageSize) {
+      break;
+    } else if (pagination.style === "offset") {
+      pageArgs = { ...pageArgs, [pagination.offset]: Number(pageArgs[pagination.offset] || 0) + page.items.length };
+    } else {
+      pageArgs = { ...pageArgs, [pagination.page]: Number(pageArgs[pagination.page] ?? pagination.firstPage) + 1 };
+    }
+
+    if (pages >= MAX_PAGES) {
+      stoppedBy = "maxPages";
+      break;
+    }
+  }
+
+  log(`Fetched ${items.length} items in ${pages} page(s), stopped by ${stoppedBy}`);
+  return {
+    status: last.status,
+    headers: last.headers,
+    body: withItems(first.result.body, first.key, items),
+    attempts,
+    pagination: {
+      style: pagination.style,
+      pages,
+      items: items.length,
+      complete: stoppedBy === "exhausted",
+      stoppedBy,
+    },
+  };
+}
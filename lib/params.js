@@ -0,0 +1,196 @@
+import { log } from "./log.js";
+
+const PARAMETER_LOCATIONS = ["path", "query", "header", "cookie"];
+
+// OpenAPI ignores header parameters with these names; they are controlled elsewhere
+const RESERVED_HEADERS = ["accept", "content-type", "authorization"];
+
+// Default serialization style for each parameter location
+const DEFAULT_STYLES = {
+  path: "simple",
+  query: "form",
+  header: "simple",
+  cookie: "form",
+};
+
+// Characters that allowReserved leaves unencoded in query values
+const RESERVED_CHARACTERS = /%(3A|2F|3F|23|5B|5D|40|21|24|26|27|28|29|2A|2B|2C|3B|3D)/gi;
+
+// Merge path-level and operation-level parameters; operation parameters win on name + location
+export function mergeParameters(pathParameters = [], operationParameters = []) {
+  const merged = new Map();
+  for (const param of [...pathParameters, ...operationParameters]) {
+    merged.set(`${param.in}:${param.name}`, param);
+  }
+  return [...merged.values()];
+}
+
+// Attach the tool argument name to each parameter. Names that appear in more than one
+// location (or clash with the request body argument) are prefixed with their location.
+export function assignArgumentNames(parameters, reserved = []) {
+  const counts = {};
+  for (const param of parameters) {
+    counts[param.name] = (counts[param.name] || 0) + 1;
+  }
+
+  return parameters.map(param => {
+    const collides = counts[param.name] > 1 || reserved.includes(param.name);
+    return { ...param, argument: collides ? `${param.in}_${param.name}` : param.name };
+  });
+}
+
+// Resolve the effective style and explode settings of a parameter
+export function parameterStyle(param) {
+  const style = param.style || DEFAULT_STYLES[param.in] || "simple";
+  const explode = param.explode !== undefined ? param.explode : style === "form";
+  return { style, explode };
+}
+
+// Render a primitive as the string sent on the wire
+function primitiveToString(value) {
+  if (value !== null && typeof value === "object") {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+// Percent-encode a value for use in a URL
+function encode(value, allowReserved = false) {
+  const encoded = encodeURIComponent(primitiveToString(value));
+  return allowReserved ? encoded.replace(RESERVED_CHARACTERS, decodeURIComponent) : encoded;
+}
+
+// Serialize a path parameter value (simple, label and matrix styles)
+function serializePathValue(name, value, style, explode) {
+  const prefix = style === "label" ? "." : style === "matrix" ? ";" : "";
+  const separator = explode && style !== "simple" ? prefix : ",";
+
+  if (Array.isArray(value)) {
+    const items = value.map(item => encode(item));
+    if (style === "matrix") {
+      return explode
+        ? items.map(item => `;${name}=${item}`).join("")
+        : `;${name}=${items.join(",")}`;
+    }
+    return prefix + items.join(separator);
+  }
+
+  if (value !== null && typeof value === "object") {
+    const entries = Object.entries(value);
+    if (explode) {
+      return prefix + entries.map(([key, item]) => `${encode(key)}=${encode(item)}`).join(separator);
+    }
+    const flat = entries.flatMap(([key, item]) => [encode(key), encode(item)]).join(",");
+    return style === "matrix" ? `;${name}=${flat}` : prefix + flat;
+  }
+
+  return style === "matrix" ? `;${name}=${encode(value)}` : prefix + encode(value);
+}
+
+// Flatten an object into deepObject key/value pairs: name[a][b]=value
+function deepObjectPairs(name, value) {
+  if (value === null || typeof value !== "object") {
+    return [[name, value]];
+  }
+  return Object.entries(value).flatMap(([key, item]) => deepObjectPairs(`${name}[${key}]`, item));
+}
+
+// Serialize a query parameter value into encoded "key=value" strings
+function serializeQueryValue(name, value, style, explode, allowReserved) {
+  const key = encode(name);
+  const valueOf = item => encode(item, allowReserved);
+
+  if (style === "deepObject") {
+    return deepObjectPairs(name, value).map(([pairKey, item]) =>
+      `${encode(pairKey).replace(/%5B/g, "[").replace(/%5D/g, "]")}=${valueOf(item)}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (explode) {
+      return value.map(item => `${key}=${valueOf(item)}`);
+    }
+    const delimiter = style === "spaceDelimited" ? "%20" : style === "pipeDelimited" ? "|" : ",";
+    return [`${key}=${value.map(valueOf).join(delimiter)}`];
+  }
+
+  if (value !== null && typeof value === "object") {
+    const entries = Object.entries(value);
+    if (explode) {
+      return entries.map(([entryKey, item]) => `${encode(entryKey)}=${valueOf(item)}`);
+    }
+    return [`${key}=${entries.flatMap(([entryKey, item]) => [encode(entryKey), valueOf(item)]).join(",")}`];
+  }
+
+  return [`${key}=${valueOf(value)}`];
+}
+
+// Serialize a header parameter value (simple style, not percent-encoded)
+function serializeHeaderValue(value, explode) {
+  if (Array.isArray(value)) {
+    return value.map(primitiveToString).join(",");
+  }
+  if (value !== null && typeof value === "object") {
+    const entries = Object.entries(value);
+    return explode
+      ? entries.map(([key, item]) => `${key}=${primitiveToString(item)}`).join(",")
+      : entries.flatMap(([key, item]) => [key, primitiveToString(item)]).join(",");
+  }
+  return primitiveToString(value);
+}
+
+// Serialize a cookie parameter value into "name=value" pairs
+function serializeCookieValue(name, value, explode) {
+  if (Array.isArray(value)) {
+    return explode
+      ? value.map(item => `${name}=${encode(item)}`)
+      : [`${name}=${value.map(item => encode(item)).join(",")}`];
+  }
+  if (value !== null && typeof value === "object") {
+    const entries = Object.entries(value);
+    return explode
+      ? entries.map(([key, item]) => `${key}=${encode(item)}`)
+      : [`${name}=${entries.flatMap(([key, item]) => [key, encode(item)]).join(",")}`];
+  }
+  return [`${name}=${encode(value)}`];
+}
+
+// Split tool arguments into serialized path, query, header and cookie values
+export function serializeParameters(parameters, args = {}) {
+  const result = { path: {}, query: [], headers: {}, cookies: [] };
+
+  for (const param of parameters) {
+    if (!PARAMETER_LOCATIONS.includes(param.in)) continue;
+
+    const argument = param.argument || param.name;
+    let value = args[argument];
+    if (value === undefined || value === null) continue;
+
+    // Parameters described through a media type are sent as JSON
+    if (param.content && !param.schema) {
+      value = JSON.stringify(value);
+    }
+
+    const { style, explode } = parameterStyle(param);
+
+    switch (param.in) {
+      case "path":
+        result.path[param.name] = serializePathValue(param.name, value, style, explode);
+        break;
+      case "query":
+        result.query.push(...serializeQueryValue(param.name, value, style, explode, param.allowReserved));
+        break;
+      case "header":
+        if (RESERVED_HEADERS.includes(param.name.toLowerCase())) {
+          log(`Ignoring reserved header parameter: ${param.name}`);
+          break;
+        }
+        result.headers[param.name] = serializeHeaderValue(value, explode);
+        break;
+      case "cookie":
+        result.cookies.push(...serializeCookieValue(param.name, value, explode));
+        break;
+    }
+  }
+
+  return result;
+}
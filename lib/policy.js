@@ -0,0 +1,111 @@
+import { createHash, randomBytes } from "node:crypto";
+import { matchesRules, normalizeRules } from "./filter.js";
+
+// Tool argument echoing the confirmation token of a dangerous operation
+export const CONFIRM_ARGUMENT = "_confirm";
+
+// Methods allowed in read-only mode
+export const READ_ONLY_METHODS = ["get", "head"];
+
+// How long a confirmation token stays valid
+export const CONFIRMATION_TTL_MS = 5 * 60 * 1000;
+
+// Environment variables listing dangerous operations, by rule field
+const DANGEROUS_ENV = {
+  tags: "DANGEROUS_TAGS",
+  operations: "DANGEROUS_OPERATIONS",
+  paths: "DANGEROUS_PATHS",
+  methods: "DANGEROUS_METHODS",
+};
+
+// Normalize the dangerous-operation rules from the config file, returning undefined when empty
+export function normalizeDangerous(rules) {
+  if (rules === undefined || rules === null) {
+    return undefined;
+  }
+  const normalized = normalizeRules(rules, "dangerous", "rule");
+  return Object.keys(normalized).length > 0 ? normalized : undefined;
+}
+
+// Build the dangerous-operation rules from the DANGEROUS_* environment variables
+export function dangerousFromEnv(env) {
+  const rules = {};
+  for (const [field, name] of Object.entries(DANGEROUS_ENV)) {
+    if (env[name]) {
+      rules[field] = env[name];
+    }
+  }
+  return normalizeDangerous(rules);
+}
+
+// Check whether read-only mode lets an operation through
+export function isReadOnlyOperation(operation) {
+  return READ_ONLY_METHODS.includes(operation.method.toLowerCase());
+}
+
+// Check whether an operation needs confirmation: an explicit `"dangerous"` operation setting
+// wins, otherwise any matching rule (tag, operationId or path glob, method) marks it
+export function isDangerous(operation, rules, setting) {
+  if (setting !== undefined) {
+    return Boolean(setting);
+  }
+  return Boolean(rules) && matchesRules(operation, rules, false);
+}
+
+// Fingerprint of a tool call, independent of argument order
+function callFingerprint(name, args) {
+  const canonical = value => {
+    if (Array.isArray(value)) return value.map(canonical);
+    if (value && typeof value === "object") {
+      return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical(value[key])]));
+    }
+    return value;
+  };
+  return createHash("sha256").update(JSON.stringify([name, canonical(args)])).digest("hex");
+}
+
+// Create the confirmation store of a server. A token is issued for one tool and exact
+// arguments, expires after `ttl` milliseconds and can be used once.
+export function createConfirmations(options = {}) {
+  const ttl = options.ttl ?? CONFIRMATION_TTL_MS;
+  const now = options.now || Date.now;
+  const tokens = new Map();
+
+  // Forget tokens that can no longer be used
+  const prune = () => {
+    for (const [token, entry] of tokens) {
+      if (entry.expiresAt <= now()) tokens.delete(token);
+    }
+  };
+
+  return {
+    // Issue a token for a previewed call
+    issue(name, args) {
+      prune();
+      const token = randomBytes(12).toString("hex");
+      tokens.set(token, { name, fingerprint: callFingerprint(name, args), expiresAt: now() + ttl });
+      return { token, expiresInSeconds: Math.round(ttl / 1000) };
+    },
+
+    // Check and consume a token. Returns { ok: true } or { ok: false, reason }.
+    redeem(name, args, token) {
+      prune();
+      const entry = tokens.get(String(token));
+      if (!entry) {
+        return {
+          ok: false,
+          reason: "the confirmation token is unknown, already used or expired " +
+            `(tokens are valid for ${Math.round(ttl / 1000)} seconds)`,
+        };
+      }
+      if (entry.name !== name) {
+        return { ok: false, reason: `the confirmation token was issued for ${entry.name}, not ${name}` };
+      }
+      if (entry.fingerprint !== callFingerprint(name, args)) {
+        return { ok: false, reason: "the arguments differ from the previewed call" };
+      }
+      tokens.delete(String(token));
+      return { ok: true };
+    },
+  };
+}
@@ -0,0 +1,177 @@
+import { matchesRules } from "./filter.js";
+import { log } from "./log.js";
+import { isReadOnlyOperation } from "./policy.js";
+import { sleep } from "./retry.js";
+
+// What happens to a call over its limit: wait for a token, or fail with a retry hint
+export const RATE_LIMIT_MODES = ["queue", "reject"];
+
+// Default rate limit settings; no limit applies until one is configured
+export const RATE_LIMIT_DEFAULTS = { mode: "queue", maxWait: 30000 };
+
+// Argument naming the chat a call targets, at the top level or inside the request body
+export const CHAT_ARGUMENT = "chatId";
+
+// Milliseconds per rate unit
+const RATE_UNITS = {
+  s: 1000,
+  sec: 1000,
+  second: 1000,
+  m: 60000,
+  min: 60000,
+  minute: 60000,
+  h: 3600000,
+  hour: 3600000,
+  d: 86400000,
+  day: 86400000,
+};
+
+// Parse a rate such as "20/minute", "1/5s" or { "rate": "20/minute", "burst": 5 } into a token
+// bucket: `limit` tokens are refilled every `interval` milliseconds, up to `burst` tokens.
+// Returns undefined when no rate is given.
+export function parseRate(value, label) {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+
+  const settings = typeof value === "object" ? value : { rate: value };
+  const match = String(settings.rate).trim().match(/^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)?\s*([a-z]+)$/i);
+  const unit = match && RATE_UNITS[match[3].toLowerCase()];
+  if (!unit || Number(match[1]) <= 0 || Number(match[2] ?? 1) <= 0) {
+    throw new Error(`Invalid rate limit ${label}: ${JSON.stringify(value)} (expected e.g. "20/minute" or "1/5s")`);
+  }
+
+  const limit = Number(match[1]);
+  const burst = Number(settings.burst ?? limit);
+  if (!Number.isFinite(burst) || burst < 1) {
+    throw new Error(`Invalid rate limit burst ${label}: ${settings.burst}`);
+  }
+  return { rate: String(settings.rate).trim(), limit, interval: Number(match[2] ?? 1) * unit, burst };
+}
+
+// Parse the per-tag rates: an object keyed by tag, or "Chatting=20/minute,Groups=5/minute"
+function parseTagRates(tags) {
+  const entries = typeof tags === "string"
+    ? tags.split(",").filter(entry => entry.trim() !== "").map(entry => {
+      const separator = entry.indexOf("=");
+      if (separator < 0) {
+        throw new Error(`Invalid tag rate limit "${entry.trim()}" (expected Tag=20/minute)`);
+      }
+      return [entry.slice(0, separator).trim(), entry.slice(separator + 1).trim()];
+    })
+    : Object.entries(tags);
+  return Object.fromEntries(entries.map(([tag, rate]) => [tag, parseRate(rate, `for tag ${tag}`)]));
+}
+
+// Build the rate limit settings from the defaults and any number of partial overrides:
+// { mode, maxWait, global, chat, tags } with every rate parsed
+export function rateLimitSettings(...overrides) {
+  const settings = { ...RATE_LIMIT_DEFAULTS, global: undefined, chat: undefined, tags: {} };
+  for (const override of overrides) {
+    for (const key of ["mode", "maxWait", "global", "chat"]) {
+      if (override?.[key] !== undefined && override[key] !== "") {
+        settings[key] = override[key];
+      }
+    }
+    if (override?.tags) {
+      settings.tags = { ...settings.tags, ...parseTagRates(override.tags) };
+    }
+  }
+
+  if (!RATE_LIMIT_MODES.includes(settings.mode)) {
+    throw new Error(`Invalid rate limit mode: ${settings.mode} (expected one of ${RATE_LIMIT_MODES.join(", ")})`);
+  }
+  if (!Number.isFinite(Number(settings.maxWait)) || Number(settings.maxWait) < 0) {
+    throw new Error(`Invalid rate limit maxWait: ${settings.maxWait}`);
+  }
+  settings.maxWait = Number(settings.maxWait);
+  settings.global = parseRate(settings.global, "global");
+  settings.chat = parseRate(settings.chat, "per chat");
+  return settings;
+}
+
+// Chat targeted by a call, from the chatId argument or the chatId field of the body
+function targetChat(args) {
+  const chat = args?.[CHAT_ARGUMENT] ?? args?.body?.[CHAT_ARGUMENT];
+  return typeof chat === "string" || typeof chat === "number" ? String(chat) : undefined;
+}
+
+// Limits applying to one call of a tool ({ name, operation, rateLimit }): the global limit, the
+// limits of its tags, its own limit and, for calls that change something, the limit of the
+// target chat. Each comes with the key of its bucket.
+function applicableLimits(settings, tool, args) {
+  const limits = [];
+  if (settings.global) {
+    limits.push({ key: "global", rate: settings.global });
+  }
+  for (const [tag, rate] of Object.entries(settings.tags)) {
+    if (matchesRules(tool.operation, { tags: [tag] }, true)) {
+      limits.push({ key: `tag ${tag}`, rate });
+    }
+  }
+  if (tool.rateLimit) {
+    limits.push({ key: `operation ${tool.name}`, rate: tool.rateLimit });
+  }
+  const chat = settings.chat && !isReadOnlyOperation(tool.operation) ? targetChat(args) : undefined;
+  if (chat !== undefined) {
+    limits.push({ key: `chat ${chat}`, rate: settings.chat });
+  }
+  return limits;
+}
+
+// Create the rate limiter of a server: one token bucket per global, tag, operation and chat
+// limit, shared by every call. `acquire(tool, args)` takes a token from each bucket the call
+// falls under. In queue mode it waits up to `maxWait` for them; otherwise, or when the wait would
+// be longer, it returns { ok: false, retryAfter, limits, mode } without taking anything. A granted
+// call gets { ok: true, waited, remaining } with the tokens left per bucket, or undefined when no
+// limit applies.
+export function createRateLimiter(settings = rateLimitSettings(), options = {}) {
+  const now = options.now || Date.now;
+  const wait = options.sleep || sleep;
+  const buckets = new Map();
+
+  // Bucket of a key with its tokens refilled up to now. New buckets start full; a bucket whose rate
+  // changed (after a spec reload) starts over.
+  const bucket = (key, rate) => {
+    const time = now();
+    let entry = buckets.get(key);
+    if (!entry || entry.rate.rate !== rate.rate || entry.rate.burst !== rate.burst) {
+      entry = { rate, tokens: rate.burst, updated: time };
+      buckets.set(key, entry);
+    }
+    entry.tokens = Math.min(rate.burst, entry.tokens + ((time - entry.updated) * rate.limit) / rate.interval);
+    entry.updated = time;
+    return entry;
+  };
+
+  return {
+    async acquire(tool, args) {
+      const limits = applicableLimits(settings, tool, args);
+      if (limits.length === 0) {
+        return undefined;
+      }
+
+      // Tokens may go negative: later calls then queue behind the ones already waiting
+      const entries = limits.map(({ key, rate }) => ({ key, entry: bucket(key, rate) }));
+      const delays = entries.map(({ entry }) =>
+        entry.tokens >= 1 ? 0 : Math.ceil(((1 - entry.tokens) * entry.rate.interval) / entry.rate.limit));
+      const delay = Math.max(...delays);
+
+      if (delay > 0 && (settings.mode === "reject" || delay > settings.maxWait)) {
+        const exhausted = entries.filter((_, index) => delays[index] > 0).map(({ key }) => key);
+        log.info(`Rate limit reached for ${tool.name} (${exhausted.join(", ")}), retry in ${delay}ms`);
+        return { ok: false, retryAfter: delay, limits: exhausted, mode: settings.mode, maxWait: settings.maxWait };
+      }
+
+      for (const { entry } of entries) {
+        entry.tokens -= 1;
+      }
+      const remaining = Object.fromEntries(entries.map(({ key, entry }) => [key, Math.max(0, Math.floor(entry.tokens))]));
+      if (delay > 0) {
+        log.info(`Rate limit: ${tool.name} waits ${delay}ms`);
+        await wait(delay);
+      }
+      return { ok: true, waited: delay, remaining };
+    },
+  };
+}
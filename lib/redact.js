@@ -0,0 +1,28 @@
+// Placeholder shown instead of a secret
+export const REDACTED = "[REDACTED]";
+
+// Header and field names whose values are treated as secrets
+const SENSITIVE_NAME = /authorization|token|secret|password|passwd|api[-_]?key|credential|signature/i;
+
+// Check whether a header, parameter or field name usually carries a secret
+export function isSensitiveName(name) {
+  return SENSITIVE_NAME.test(String(name));
+}
+
+// Redact one header value, keeping the scheme of Authorization values (e.g. "Bearer [REDACTED]")
+function redactHeaderValue(name, value) {
+  const scheme = /authorization$/i.test(name) && String(value).match(/^(\w+) /);
+  return scheme ? `${scheme[1]} ${REDACTED}` : REDACTED;
+}
+
+// Copy headers with secret values redacted: names that look sensitive plus the given names
+// (e.g. those set by the security schemes)
+export function redactHeaders(headers, names = []) {
+  const secret = names.map(name => name.toLowerCase());
+  return Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [
+      name,
+      isSensitiveName(name) || secret.includes(name.toLowerCase()) ? redactHeaderValue(name, value) : value,
+    ]),
+  );
+}
@@ -0,0 +1,196 @@
+import { createAuth, resolveCredentials } from "./auth.js";
+import { PREFIX_SEPARATOR } from "./config.js";
+import { parseOpenApiContent, parseOpenApiFile } from "./loader.js";
+import { log, registerSecrets } from "./log.js";
+import { buildToolName } from "./naming.js";
+import { extractOperations } from "./operations.js";
+import { operationPagination } from "./pagination.js";
+import { isDangerous, isReadOnlyOperation } from "./policy.js";
+import { parseRate } from "./ratelimit.js";
+import { fetchSpec, isRemoteSpec } from "./remote.js";
+import { isSensitiveName } from "./redact.js";
+import { retryPolicy } from "./retry.js";
+import { resolveRef } from "./schema.js";
+import { operationServerUrl, specBaseUrl } from "./servers.js";
+import { responseSettings } from "./shape.js";
+
+// Read and parse a spec from a local file or an HTTP(S) URL
+async function readSpec(entry, config) {
+  const parseOptions = { duplicateKeyPolicy: entry.duplicateKeyPolicy || config.duplicateKeyPolicy };
+
+  if (!isRemoteSpec(entry.file)) {
+    return parseOpenApiFile(entry.file, parseOptions);
+  }
+
+  // Only content that parses into an OpenAPI document may replace the cached copy
+  const parse = content => {
+    const result = parseOpenApiContent(content, parseOptions);
+    if (!result.spec || typeof result.spec !== "object" || !result.spec.openapi) {
+      throw new Error("not an OpenAPI document");
+    }
+    return result;
+  };
+  const remote = await fetchSpec(entry.file, {
+    cacheDir: config.specCacheDir,
+    timeout: config.specFetchTimeout,
+    headers: entry.headers,
+    parse,
+  });
+  const parsed = remote.parsed || parseOpenApiContent(remote.content, parseOptions);
+  return { ...parsed, diagnostics: [...remote.diagnostics, ...parsed.diagnostics], source: entry.file };
+}
+
+// Load one configured spec: parse it, extract its operations and pick its base URL
+export async function loadSpec(entry, config = {}) {
+  log.info(`Loading OpenAPI spec "${entry.name}" from: ${entry.file}`);
+
+  const { spec, diagnostics, source } = await readSpec(entry, config);
+
+  // A spec's own filter replaces the global one
+  const filter = entry.filter || config.filter;
+  const naming = entry.naming || config.naming;
+  const dangerous = entry.dangerous || config.dangerous;
+
+  // Read-only mode only exposes operations that cannot change anything
+  const readOnly = entry.readOnly ?? config.readOnly ?? false;
+  const extracted = extractOperations(spec, { filter });
+  const operations = readOnly ? extracted.filter(isReadOnlyOperation) : extracted;
+  if (operations.length < extracted.length) {
+    log.info(`Read-only mode hides ${extracted.length - operations.length} operations of "${entry.name}"`);
+  }
+
+  // An explicit base URL replaces the spec-level servers; path- and operation-level servers still apply
+  const serverOptions = { server: entry.server, variables: entry.serverVariables, source };
+  const baseUrl = specBaseUrl(spec, { ...serverOptions, baseUrl: entry.baseUrl });
+  for (const operation of operations) {
+    operation.serverUrl = operationServerUrl(operation.servers, serverOptions);
+  }
+
+  // Credentials are matched to the spec's security schemes by name
+  const securitySchemes = Object.fromEntries(
+    Object.entries(spec.components?.securitySchemes || {}).map(([name, scheme]) => [name, resolveRef(scheme, spec)]),
+  );
+  const credentials = resolveCredentials(securitySchemes, entry.auth, entry.authEnv);
+  const auth = createAuth(securitySchemes, credentials);
+
+  // Static headers carrying secrets (e.g. X-Api-Key) are redacted from the logs like credentials
+  const secretHeaders = Object.entries(entry.headers || {}).filter(([name]) => isSensitiveName(name));
+  registerSecrets(...secretHeaders.map(([, value]) => value));
+
+  log.info(`Using base URL for "${entry.name}": ${baseUrl}`);
+  log.info(`Extracted ${operations.length} operations from "${entry.name}"`);
+  log.info(`Credentials configured for "${entry.name}" schemes: ${Object.keys(credentials).join(", ") || "none"}`);
+
+  const contentTypeWithoutBody = entry.contentTypeWithoutBody ?? config.contentTypeWithoutBody ?? true;
+  const dryRun = entry.dryRun ?? config.dryRun ?? false;
+  const retry = retryPolicy(config.retry, entry.retry);
+  const response = responseSettings(config.response, entry.response);
+
+  return {
+    ...entry,
+    filter,
+    naming,
+    readOnly,
+    dangerous,
+    spec,
+    diagnostics,
+    source,
+    operations,
+    baseUrl,
+    auth,
+    contentTypeWithoutBody,
+    dryRun,
+    retry,
+    response,
+  };
+}
+
+// Name of the tool exposing an operation, namespaced by the spec prefix and following its naming settings
+export function toolName(spec, operation) {
+  return buildToolName(operation, { ...spec.naming, prefix: spec.prefix, separator: PREFIX_SEPARATOR });
+}
+
+// Static headers of one operation: the spec headers plus the overrides configured for the
+// operation, keyed by operationId or "METHOD /path". A null override removes a header.
+export function operationHeaders(spec, operation) {
+  const overrides = spec.operationHeaders || {};
+  return {
+    ...(spec.headers || {}),
+    ...(overrides[`${operation.method.toUpperCase()} ${operation.path}`] || {}),
+    ...(overrides[operation.operationId] || {}),
+  };
+}
+
+// Settings configured for one operation in the spec's `operationSettings` map, keyed by operationId
+// or "METHOD /path" (the operationId entry wins)
+export function operationSettings(spec, operation) {
+  const settings = spec.operationSettings || {};
+  return {
+    ...(settings[`${operation.method.toUpperCase()} ${operation.path}`] || {}),
+    ...(settings[operation.operationId] || {}),
+  };
+}
+
+// Timeout and retry policy of one operation. `"retry": true` opts a non-idempotent operation into
+// retries; an object overrides individual settings.
+function operationRetry(spec, settings) {
+  const { retry } = settings;
+  return retryPolicy(spec.retry, retry === true ? { retryNonIdempotent: true } : retry || {});
+}
+
+// Build the tool name -> { name, operation, spec, headers, retry, response, pagination, dangerous,
+// rateLimit } lookup table. Names are never shadowed: any two operations mapping to the same name fail the
+// whole table.
+export function buildToolTable(specs) {
+  const tools = new Map();
+  const collisions = [];
+
+  for (const spec of specs) {
+    for (const operation of spec.operations) {
+      const name = toolName(spec, operation);
+      const existing = tools.get(name);
+      if (existing) {
+        collisions.push(
+          `${name}: ${existing.spec.name} ${existing.operation.method.toUpperCase()} ${existing.operation.path}` +
+          ` and ${spec.name} ${operation.method.toUpperCase()} ${operation.path}`,
+        );
+        continue;
+      }
+
+      const settings = operationSettings(spec, operation);
+      tools.set(name, {
+        name,
+        operation,
+        spec,
+        headers: operationHeaders(spec, operation),
+        retry: operationRetry(spec, settings),
+        response: responseSettings(spec.response, settings.response),
+        pagination: operationPagination(operation, settings.pagination),
+        dangerous: isDangerous(operation, spec.dangerous, settings.dangerous),
+        rateLimit: parseRate(settings.rateLimit, `for ${name}`),
+      });
+    }
+  }
+
+  // Overrides that match nothing are most likely typos
+  for (const spec of specs) {
+    for (const field of ["operationHeaders", "operationSettings"]) {
+      for (const key of Object.keys(spec[field] || {})) {
+        const matched = spec.operations.some(operation =>
+          operation.operationId === key || `${operation.method.toUpperCase()} ${operation.path}` === key);
+        if (!matched) {
+          log.warn(`${field} entry "${key}" of spec "${spec.name}" matches no exposed operation`);
+        }
+      }
+    }
+  }
+
+  if (collisions.length > 0) {
+    throw new Error(
+      `Tool name collisions detected:\n  - ${collisions.join("\n  - ")}\n` +
+      "Give the specs distinct prefixes, fix duplicate operationIds or choose another tool naming strategy",
+    );
+  }
+
+  return tools;
+}
@@ -0,0 +1,115 @@
+import { fetch } from "undici";
+import { createHash } from "node:crypto";
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+import { log } from "./log.js";
+
+// Default location of cached remote specs
+export const DEFAULT_CACHE_DIR = path.join(os.homedir(), ".cache", "openapi-mcp-server");
+
+// Default time to wait for a remote spec before falling back to the cache
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Check whether a spec location is an HTTP(S) URL
+export function isRemoteSpec(location) {
+  return /^https?:\/\//i.test(location);
+}
+
+// Path of the cache entry for a URL
+function cachePath(cacheDir, url) {
+  const hash = createHash("sha256").update(url).digest("hex").slice(0, 32);
+  return path.join(cacheDir, `${hash}.json`);
+}
+
+// Read the cached copy of a URL, if there is a usable one
+function readCache(cacheDir, url) {
+  try {
+    const entry = JSON.parse(fs.readFileSync(cachePath(cacheDir, url), "utf8"));
+    return entry.url === url && typeof entry.content === "string" ? entry : undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// Write a cache entry; a cache that cannot be written only costs revalidation
+function writeCache(cacheDir, entry) {
+  try {
+    fs.mkdirSync(cacheDir, { recursive: true });
+    const target = cachePath(cacheDir, entry.url);
+    const temp = `${target}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(entry));
+    fs.renameSync(temp, target);
+  } catch (error) {
+    log.warn(`Could not write spec cache for ${entry.url}: ${error.message}`);
+  }
+}
+
+// Fetch a remote spec, revalidating the on-disk copy with ETag / Last-Modified.
+// When the host cannot be reached or answers with an error, the last good copy is used.
+// options.parse turns fresh content into its `parsed` result and throws on content that is not a
+// usable spec, e.g. an HTML error page; such content never replaces the cached copy.
+export async function fetchSpec(url, options = {}) {
+  const cacheDir = options.cacheDir || DEFAULT_CACHE_DIR;
+  const cached = readCache(cacheDir, url);
+  const headers = { Accept: "application/json, application/yaml, text/yaml, */*", ...(options.headers || {}) };
+
+  if (cached?.etag) headers["If-None-Match"] = cached.etag;
+  if (cached?.lastModified) headers["If-Modified-Since"] = cached.lastModified;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), options.timeout || DEFAULT_TIMEOUT_MS);
+
+  try {
+    log.info(`Fetching remote spec: ${url}`);
+    const response = await fetch(url, { headers, signal: controller.signal });
+
+    if (response.status === 304 && cached) {
+      log.info(`Remote spec not modified, using cached copy: ${url}`);
+      await response.body?.cancel();
+      writeCache(cacheDir, { ...cached, checkedAt: new Date().toISOString() });
+      return { content: cached.content, diagnostics: [] };
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+
+    const content = await response.text();
+    let parsed;
+    try {
+      parsed = options.parse?.(content);
+    } catch (error) {
+      throw new Error(`invalid spec content: ${error.message}`);
+    }
+    const now = new Date().toISOString();
+    writeCache(cacheDir, {
+      url,
+      etag: response.headers.get("etag") || undefined,
+      lastModified: response.headers.get("last-modified") || undefined,
+      fetchedAt: now,
+      checkedAt: now,
+      content,
+    });
+    return { content, parsed, diagnostics: [] };
+  } catch (error) {
+    const reason = error.name === "AbortError" ? "request timed out" : error.cause?.message || error.message;
+    if (!cached) {
+      throw new Error(`Failed to fetch OpenAPI spec from ${url}: ${reason} (no cached copy available)`);
+    }
+
+    log.warn(`Failed to fetch remote spec (${reason}), falling back to cached copy`);
+    return {
+      content: cached.content,
+      diagnostics: [
+        {
+          type: "remote",
+          message: `Failed to fetch ${url}: ${reason}`,
+          action: `using cached copy fetched at ${cached.fetchedAt}`,
+        },
+      ],
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
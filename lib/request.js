@@ -0,0 +1,251 @@
+import { fetch, FormData } from "undici";
+import { authorize, invalidateTokens } from "./auth.js";
+import { encodeRequestBody } from "./body.js";
+import { log } from "./log.js";
+import { serializeParameters } from "./params.js";
+import { REDACTED, redactHeaders } from "./redact.js";
+import { readResponse } from "./response.js";
+import { backoffDelay, canRetry, isRetryableStatus, retryAfterDelay, retryPolicy, sleep } from "./retry.js";
+
+// Build URL from serialized path parameters and query pairs
+export function buildUrl(baseUrl, path, pathParams = {}, query = []) {
+  let url = path;
+
+  // Replace path parameters
+  for (const [key, value] of Object.entries(pathParams)) {
+    url = url.replace(`{${key}}`, value);
+  }
+
+  // Join with baseUrl, keeping any path prefix the base URL carries
+  const base = baseUrl.replace(/\/+$/, "");
+  const full = new URL(`${base}${url.startsWith("/") ? "" : "/"}${url}`);
+
+  if (query.length > 0) {
+    full.search = (full.search ? `${full.search.slice(1)}&` : "") + query.join("&");
+  }
+
+  return full.toString();
+}
+
+// Merge header maps case-insensitively; later maps win and a null value removes the header
+export function mergeHeaders(...sources) {
+  const merged = {};
+  for (const source of sources) {
+    for (const [name, value] of Object.entries(source || {})) {
+      const existing = Object.keys(merged).find(key => key.toLowerCase() === name.toLowerCase());
+      if (existing !== undefined) {
+        delete merged[existing];
+      }
+      if (value !== null && value !== undefined) {
+        merged[name] = String(value);
+      }
+    }
+  }
+  return merged;
+}
+
+// Build one API request: URL, method, headers and encoded body, authenticated as the operation's
+// security requirements ask. `redacted` holds the URL and headers with the credentials hidden.
+// With options.offline no OAuth2 token is requested; `signal` stops waiting for a token request.
+async function prepareRequest(operation, params, baseUrl, options, signal) {
+  const serialized = serializeParameters(operation.parameters || [], params);
+  const authorization = await authorize(operation, options.auth, {
+    offline: options.offline,
+    headers: options.headers,
+    signal,
+  });
+  const base = operation.serverUrl || baseUrl;
+  const url = buildUrl(base, operation.path, serialized.path, [...serialized.query, ...authorization.query]);
+
+  // The JSON Content-Type default can be turned off for requests without a body
+  const cookies = [...serialized.cookies, ...authorization.cookies];
+  let headers = mergeHeaders(
+    options.contentTypeWithoutBody === false ? {} : { "Content-Type": "application/json" },
+    options.headers,
+    authorization.headers,
+    serialized.headers,
+    cookies.length > 0 ? { Cookie: cookies.join("; ") } : {},
+  );
+
+  const init = {
+    method: operation.method.toUpperCase(),
+  };
+
+  // Add body for methods that support it, encoded for the operation's media type
+  let encoded;
+  if ((operation.requestBody || ["post", "put", "patch"].includes(operation.method)) &&
+      params.body !== undefined && params.body !== null) {
+    encoded = await encodeRequestBody(operation, params.body, { uploadDir: options.uploadDir });
+    init.body = encoded.body;
+    headers = mergeHeaders(headers, { "Content-Type": encoded.contentType || null });
+  }
+
+  init.headers = headers;
+
+  // Credentials in the query string and cookies are hidden by value, headers by name
+  const hide = pair => `${pair.split("=")[0]}=${REDACTED}`;
+  const redactedCookies = [...serialized.cookies, ...authorization.cookies.map(hide)];
+  const redacted = {
+    url: buildUrl(base, operation.path, serialized.path, [...serialized.query, ...authorization.query.map(hide)]),
+    headers: redactHeaders(
+      mergeHeaders(headers, cookies.length > 0 ? { Cookie: redactedCookies.join("; ") } : {}),
+      Object.keys(authorization.headers),
+    ),
+  };
+
+  return { url, init, authorization, redacted, files: encoded?.files || [] };
+}
+
+// Send one API request
+async function sendRequest(operation, params, baseUrl, options, signal) {
+  const { url, init, authorization } = await prepareRequest(operation, params, baseUrl, options, signal);
+  log("Making API request:", init.method, url);
+
+  // Only failures to reach the API are worth retrying, not e.g. unreadable upload files
+  try {
+    return { response: await fetch(url, { ...init, signal }), authorization };
+  } catch (error) {
+    throw Object.assign(new Error(error.cause?.message || error.message), { network: true });
+  }
+}
+
+// Quote a value for a POSIX shell
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+// curl -F argument sending a text field. curl reads a value starting with @ or < from a file, so
+// such values go in --form-string, which cannot carry a part type; values with ";" or a leading
+// quote are quoted.
+function curlFormField(name, value, type) {
+  if (/^[@<]/.test(value) || !type) {
+    return `--form-string ${shellQuote(`${name}=${value}`)}`;
+  }
+  const quoted = value.includes(";") || value.startsWith('"') ? `"${value.replace(/[\\"]/g, "\\$&")}"` : value;
+  return `-F ${shellQuote(`${name}=${quoted};type=${type}`)}`;
+}
+
+// Readable form of an encoded request body and the curl arguments sending it. `files` holds the
+// resolved paths of the uploaded files, so that the curl command reads them from anywhere; other
+// parts with a type of their own (encoding.contentType) are sent as text with that type.
+async function previewBody(body, headers, files) {
+  if (body instanceof FormData) {
+    const fields = {};
+    const args = [];
+    let next = 0;
+    for (const [name, value] of body.entries()) {
+      const file = typeof value !== "string" && files[next]?.name === name ? files[next++].path : undefined;
+      let shown;
+      if (file) {
+        shown = `@${value.name} (${value.type || "application/octet-stream"}, ${value.size} bytes)`;
+        args.push(`-F ${shellQuote(`${name}=@${file}${value.type ? `;type=${value.type}` : ""}`)}`);
+      } else {
+        shown = typeof value === "string" ? value : await value.text();
+        args.push(curlFormField(name, shown, typeof value === "string" ? undefined : value.type));
+      }
+      fields[name] = fields[name] === undefined ? shown : [].concat(fields[name], shown);
+    }
+    return { body: fields, args };
+  }
+
+  if (Buffer.isBuffer(body)) {
+    const source = files[0]?.path;
+    return { body: `[${body.length} bytes from ${source}]`, args: [`--data-binary ${shellQuote(`@${source}`)}`] };
+  }
+
+  const contentType = Object.entries(headers).find(([name]) => name.toLowerCase() === "content-type")?.[1] || "";
+  let shown = body;
+  if (/json/i.test(contentType)) {
+    try {
+      shown = JSON.parse(body);
+    } catch (error) {
+      // Not JSON after all; show the text as sent
+    }
+  }
+  return { body: shown, args: [`--data-raw ${shellQuote(body)}`] };
+}
+
+// Run the whole request pipeline without sending anything: returns the method, URL, headers
+// and body the API would receive, with credentials redacted, and an equivalent curl command
+export async function previewRequest(operation, params = {}, baseUrl, options = {}) {
+  const { init, redacted, files } = await prepareRequest(operation, params, baseUrl, { ...options, offline: true });
+  const body = init.body === undefined ? undefined : await previewBody(init.body, init.headers, files);
+
+  // fetch adds the multipart boundary itself, and so does curl -F
+  const curl = [
+    "curl",
+    `-X ${init.method}`,
+    shellQuote(redacted.url),
+    ...Object.entries(redacted.headers).map(([name, value]) => `-H ${shellQuote(`${name}: ${value}`)}`),
+    ...(body ? body.args : []),
+  ].join(" ");
+
+  return {
+    method: init.method,
+    url: redacted.url,
+    headers: redacted.headers,
+    ...(body ? { body: body.body } : {}),
+    curl,
+  };
+}
+
+// Make API request against the operation's own server, or else the spec's base URL.
+// options.headers are the static headers configured for the operation, options.auth the
+// spec's security schemes and credentials, options.retry the timeout and retry policy and
+// options.uploadDir the directory files are uploaded from.
+// Idempotent requests (and others the policy opts in) are retried on network errors,
+// timeouts and 408/429/5xx answers; the result reports how many attempts were made.
+export async function makeApiRequest(operation, params = {}, baseUrl, options = {}) {
+  const policy = retryPolicy(options.retry);
+  const retryable = canRetry(operation.method, policy);
+
+  for (let attempt = 1; ; attempt++) {
+    const controller = new AbortController();
+    const timer = policy.timeout > 0 ? setTimeout(() => controller.abort(), policy.timeout) : undefined;
+    const mayRetry = retryable && attempt <= policy.retries;
+
+    try {
+      let { response, authorization } = await sendRequest(operation, params, baseUrl, options, controller.signal);
+
+      // A rejected OAuth2 token may have been revoked early; fetch a fresh one and try once more
+      if (response.status === 401 && authorization.refreshable) {
+        log.info("API rejected the OAuth2 token, requesting a new one");
+        await response.body?.cancel();
+        invalidateTokens(options.auth);
+        ({ response } = await sendRequest(operation, params, baseUrl, options, controller.signal));
+      }
+
+      // Honour Retry-After unless it asks for a longer wait than we are willing to block the call
+      if (mayRetry && isRetryableStatus(response.status)) {
+        const retryAfter = retryAfterDelay(response.headers.get("retry-after"));
+        if (retryAfter === undefined || retryAfter <= policy.maxRetryAfter) {
+          const delay = retryAfter ?? backoffDelay(attempt, policy);
+          log.info(`API answered ${response.status}, retrying in ${delay}ms (attempt ${attempt + 1} of ${policy.retries + 1})`);
+          await response.body?.cancel();
+          clearTimeout(timer);
+          await sleep(delay);
+          continue;
+        }
+      }
+
+      const result = await readResponse(response);
+      return { ...result, attempts: attempt };
+    } catch (error) {
+      const timedOut = controller.signal.aborted;
+      const failure = timedOut ? new Error(`request timed out after ${policy.timeout}ms`) : error;
+
+      if (mayRetry && (timedOut || error.network)) {
+        const delay = backoffDelay(attempt, policy);
+        log.info(`API request failed (${failure.message}), retrying in ${delay}ms (attempt ${attempt + 1} of ${policy.retries + 1})`);
+        clearTimeout(timer);
+        await sleep(delay);
+        continue;
+      }
+
+      log.warn("Error making API request:", failure);
+      throw new Error(`API request failed${attempt > 1 ? ` after ${attempt} attempts` : ""}: ${failure.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
@@ -0,0 +1,207 @@
+import { dereferenceDocument, dereferenceSchema, resolveRef } from "./schema.js";
+
+// MCP resources exposed next to the tools
+
+const DIAGNOSTICS_URI = "spec://diagnostics";
+
+// Scheme of the documentation resources: openapi://spec, openapi://schemas/<Name>,
+// openapi://operations/<tool> and openapi://tags
+const OPENAPI_SCHEME = "openapi://";
+
+// Tag index entry of operations without tags
+const UNTAGGED = "(untagged)";
+
+// Dereferenced JSON text of each loaded spec, built on first read. A reload loads new spec
+// objects, so their entries are dropped with the old ones.
+const dereferencedSpecs = new WeakMap();
+
+// Resource contents of already serialized JSON
+function textContents(uri, text) {
+  return { contents: [{ uri, mimeType: "application/json", text }] };
+}
+
+// JSON resource contents
+function jsonContents(uri, value) {
+  return textContents(uri, JSON.stringify(value, null, 2));
+}
+
+// URI of a spec-level resource. With several specs the spec name follows the kind, e.g.
+// openapi://schemas/waha/MessageTextRequest.
+function specUri(state, spec, kind, name) {
+  const segments = [kind, ...(state.specs.length > 1 ? [spec.name] : []), ...(name !== undefined ? [name] : [])];
+  return OPENAPI_SCHEME + segments.map(encodeURIComponent).join("/");
+}
+
+// Schemas declared under components.schemas of a spec
+function componentSchemas(spec) {
+  return spec.spec?.components?.schemas || {};
+}
+
+// List the resources available for the loaded specs: diagnostics, each full spec, each component
+// schema, each tool's operation docs and the tag index
+export function listResources(state = { specs: [], tools: new Map() }) {
+  const resources = [
+    {
+      uri: DIAGNOSTICS_URI,
+      name: "Spec diagnostics",
+      description: "Problems found while loading the OpenAPI spec and how they were handled",
+      mimeType: "application/json",
+    },
+  ];
+  if (state.specs.length === 0) {
+    return resources;
+  }
+
+  resources.push({
+    uri: `${OPENAPI_SCHEME}tags`,
+    name: "Tag index",
+    description: "Operations grouped by tag, with the tool and documentation resource of each",
+    mimeType: "application/json",
+  });
+  for (const spec of state.specs) {
+    const title = spec.spec?.info?.title || spec.name;
+    resources.push({
+      uri: specUri(state, spec, "spec"),
+      name: `${title} (full spec)`,
+      description: `The complete OpenAPI spec "${spec.name}" with every $ref inlined. This resource is large; ` +
+        "prefer the schema, operation and tag resources when they answer the question",
+      mimeType: "application/json",
+    });
+    for (const [name, schema] of Object.entries(componentSchemas(spec))) {
+      resources.push({
+        uri: specUri(state, spec, "schemas", name),
+        name: `Schema ${name}`,
+        description: schema?.description || `Component schema ${name} of "${spec.name}"`,
+        mimeType: "application/json",
+      });
+    }
+  }
+  for (const tool of state.tools.values()) {
+    resources.push({
+      uri: `${OPENAPI_SCHEME}operations/${encodeURIComponent(tool.name)}`,
+      name: `Operation ${tool.name}`,
+      description: `${tool.operation.method.toUpperCase()} ${tool.operation.path}: ${tool.operation.summary}`,
+      mimeType: "application/json",
+    });
+  }
+  return resources;
+}
+
+// Full documentation of a tool's operation: parameters with their schemas, request body and every
+// declared response
+function operationDocs(tool) {
+  const { operation, spec } = tool;
+  const responses = spec.spec?.paths?.[operation.path]?.[operation.method]?.responses || {};
+
+  return {
+    tool: tool.name,
+    spec: spec.name,
+    operationId: operation.operationId,
+    method: operation.method.toUpperCase(),
+    path: operation.path,
+    summary: operation.summary,
+    description: operation.description,
+    tags: operation.tags,
+    deprecated: operation.deprecated,
+    dangerous: Boolean(tool.dangerous),
+    parameters: operation.parameters.map(param => ({
+      name: param.name,
+      in: param.in,
+      argument: param.argument,
+      required: Boolean(param.required),
+      schema: operation.inputSchema.properties[param.argument],
+    })),
+    requestBody: operation.requestContentType
+      ? {
+        required: Boolean(operation.requestBody.required),
+        contentType: operation.requestContentType,
+        schema: operation.requestBodySchema,
+      }
+      : null,
+    responses: Object.fromEntries(
+      Object.entries(responses).map(([status, response]) => {
+        let description = "";
+        try {
+          description = resolveRef(response, spec.spec)?.description || "";
+        } catch {
+          // Unresolvable responses were already reported while extracting the operation
+        }
+        return [status, { description, content: operation.responseSchemas[status] || {} }];
+      }),
+    ),
+    security: operation.security,
+  };
+}
+
+// Operations of every spec grouped by tag, in spec order, with the tag descriptions of the spec
+function tagIndex(state) {
+  const tags = new Map();
+  for (const tool of state.tools.values()) {
+    for (const tag of tool.operation.tags.length > 0 ? tool.operation.tags : [UNTAGGED]) {
+      const key = `${tool.spec.name}\n${tag}`;
+      if (!tags.has(key)) {
+        const declared = (tool.spec.spec?.tags || []).find(entry => entry.name === tag);
+        tags.set(key, { name: tag, spec: tool.spec.name, description: declared?.description || "", operations: [] });
+      }
+      tags.get(key).operations.push({
+        tool: tool.name,
+        method: tool.operation.method.toUpperCase(),
+        path: tool.operation.path,
+        summary: tool.operation.summary,
+        uri: `${OPENAPI_SCHEME}operations/${encodeURIComponent(tool.name)}`,
+      });
+    }
+  }
+  return { tags: [...tags.values()] };
+}
+
+// Read one of the openapi:// resources, or return undefined when the URI names none
+function readOpenApiResource(uri, state) {
+  if (uri === `${OPENAPI_SCHEME}tags`) {
+    return jsonContents(uri, tagIndex(state));
+  }
+
+  const [kind, ...rest] = uri.slice(OPENAPI_SCHEME.length).split("/").map(decodeURIComponent);
+  if (kind === "operations" && rest.length === 1) {
+    const tool = state.tools.get(rest[0]);
+    return tool && jsonContents(uri, operationDocs(tool));
+  }
+
+  const [specName, name] = state.specs.length > 1 ? rest : [state.specs[0]?.name, ...rest];
+  const spec = state.specs.find(candidate => candidate.name === specName);
+  if (!spec) {
+    return undefined;
+  }
+  if (kind === "spec" && name === undefined) {
+    // The dereferenced spec is large, so it is not indented and only built once
+    if (!dereferencedSpecs.has(spec)) {
+      dereferencedSpecs.set(spec, JSON.stringify(dereferenceDocument(spec.spec, spec.spec)));
+    }
+    return textContents(uri, dereferencedSpecs.get(spec));
+  }
+  if (kind === "schemas" && Object.hasOwn(componentSchemas(spec), name)) {
+    // Going through the reference cuts a schema's references to itself at the first level
+    const pointer = `#/components/schemas/${name.replace(/~/g, "~0").replace(/\//g, "~1")}`;
+    return jsonContents(uri, dereferenceSchema({ $ref: pointer }, spec.spec));
+  }
+  return undefined;
+}
+
+// Read a resource by URI
+export function readResource(uri, state) {
+  if (uri === DIAGNOSTICS_URI) {
+    return jsonContents(uri, {
+      specs: state.specs.map(spec => ({
+        name: spec.name,
+        source: spec.source,
+        diagnostics: spec.diagnostics,
+      })),
+    });
+  }
+
+  const resource = uri.startsWith(OPENAPI_SCHEME) ? readOpenApiResource(uri, state) : undefined;
+  if (resource) {
+    return resource;
+  }
+  throw new Error(`Unknown resource: ${uri}`);
+}
@@ -0,0 +1,203 @@
+import * as fs from "node:fs";
+import * as path from "node:path";
+import { baseMediaType } from "./body.js";
+import { log } from "./log.js";
+import { validateResponseBody } from "./validate.js";
+
+// Response validation modes: off, report mismatches as warnings, or fail the call
+export const RESPONSE_VALIDATION_MODES = ["off", "warn", "strict"];
+
+// Mismatches listed in a result before the rest are summarized
+const MAX_RESPONSE_WARNINGS = 20;
+
+// File extensions for binary responses written to the output directory
+const MIME_EXTENSIONS = {
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "application/pdf": ".pdf",
+  "application/zip": ".zip",
+  "audio/mpeg": ".mp3",
+  "audio/ogg": ".ogg",
+  "video/mp4": ".mp4",
+};
+
+// Check whether a response content type carries text we can hand to the model as-is
+export function isTextContentType(contentType) {
+  const mimeType = baseMediaType(contentType);
+  return (
+    mimeType === "" ||
+    mimeType.startsWith("text/") ||
+    mimeType === "application/json" ||
+    mimeType.endsWith("+json") ||
+    mimeType.endsWith("+xml") ||
+    ["application/xml", "application/javascript", "application/yaml", "application/x-yaml",
+      "application/x-www-form-urlencoded"].includes(mimeType)
+  );
+}
+
+// Read a fetch response into the result object returned by makeApiRequest
+export async function readResponse(response) {
+  const headers = Object.fromEntries(response.headers.entries());
+  const contentType = response.headers.get("content-type");
+
+  if (!isTextContentType(contentType)) {
+    const data = Buffer.from(await response.arrayBuffer());
+    const mimeType = baseMediaType(contentType);
+    return {
+      status: response.status,
+      headers,
+      body: `[${mimeType} response, ${data.length} bytes]`,
+      binary: { data, mimeType },
+    };
+  }
+
+  const responseText = await response.text();
+
+  try {
+    // Try to parse as JSON
+    return { status: response.status, headers, body: JSON.parse(responseText) };
+  } catch (e) {
+    // Return as text if not JSON
+    return { status: response.status, headers, body: responseText };
+  }
+}
+
+// Find the declared response for a status: the exact code, then its range (e.g. 2XX), then default
+function declaredResponse(responseSchemas, status) {
+  const statuses = Object.keys(responseSchemas);
+  const key = statuses.find(code => code === String(status)) ||
+    statuses.find(code => code.toUpperCase() === `${String(status)[0]}XX`) ||
+    statuses.find(code => code === "default");
+  return key === undefined ? undefined : { status: key, content: responseSchemas[key] };
+}
+
+// Find the declared media type for a content type: the exact type, then type/*, then */*
+function declaredMediaType(content, contentType) {
+  const mimeType = baseMediaType(contentType);
+  const types = Object.keys(content);
+  return types.find(type => baseMediaType(type) === mimeType) ||
+    types.find(type => type === `${mimeType.split("/")[0]}/*`) ||
+    types.find(type => type === "*/*");
+}
+
+// Check an API result against the operation's declared responses. Returns the mismatches as
+// readable messages: undeclared success statuses or content types, and body schema violations.
+export function checkResponse(operation, result) {
+  const responseSchemas = operation.responseSchemas || {};
+  if (Object.keys(responseSchemas).length === 0 || result.binary) {
+    return [];
+  }
+
+  const declared = declaredResponse(responseSchemas, result.status);
+  if (!declared) {
+    return result.status < 400 ? [`Status ${result.status} is not declared by the spec`] : [];
+  }
+  if (Object.keys(declared.content).length === 0) {
+    return [];
+  }
+
+  const contentType = baseMediaType(result.headers?.["content-type"]);
+  const mediaType = declaredMediaType(declared.content, contentType);
+  if (!mediaType) {
+    return [
+      `Content type ${contentType || "(none)"} is not declared for status ${declared.status} ` +
+      `(expected ${Object.keys(declared.content).join(", ")})`,
+    ];
+  }
+
+  const { errors } = validateResponseBody(declared.content[mediaType], result.body);
+  const messages = errors.map(error => `Response body ${error.path || "/"}: ${error.message}`);
+  if (messages.length > MAX_RESPONSE_WARNINGS) {
+    return [...messages.slice(0, MAX_RESPONSE_WARNINGS), `…and ${messages.length - MAX_RESPONSE_WARNINGS} more`];
+  }
+  return messages;
+}
+
+// File name from a Content-Disposition header. Only the RFC 5987 `filename*=charset'lang'value`
+// form is percent-encoded; a plain `filename="..."` is taken as it is.
+function dispositionFileName(disposition) {
+  const extended = disposition.match(/filename\*\s*=\s*[^']*'[^']*'([^;\s]+)/i);
+  if (extended) {
+    try {
+      return decodeURIComponent(extended[1]);
+    } catch {
+      // Not valid percent-encoding: fall back to the plain filename
+    }
+  }
+  const plain = disposition.match(/filename\s*=\s*(?:"([^"]*)"|([^;\s]+))/i);
+  return plain ? plain[1] ?? plain[2] : undefined;
+}
+
+// Pick a file name for a binary response, preferring the server's Content-Disposition
+function outputFileName(operation, result, headers = result.headers) {
+  const name = path.basename(dispositionFileName(headers?.["content-disposition"] || "") || "");
+  if (name && name !== "." && name !== "..") {
+    return name;
+  }
+
+  const extension = MIME_EXTENSIONS[result.binary.mimeType] || ".bin";
+  return `${operation.operationId}-${Date.now()}${extension}`;
+}
+
+// Write data to a file of the given name in a directory without replacing an existing file:
+// report.pdf, then report-1.pdf and so on. Returns the path written.
+async function writeNewFile(directory, name, data) {
+  const extension = path.extname(name);
+  const stem = name.slice(0, name.length - extension.length);
+  for (let index = 0; ; index++) {
+    const filePath = path.join(directory, index > 0 ? `${stem}-${index}${extension}` : name);
+    try {
+      await fs.promises.writeFile(filePath, data, { flag: "wx" });
+      return filePath;
+    } catch (error) {
+      if (error.code !== "EEXIST") {
+        throw error;
+      }
+    }
+  }
+}
+
+// Convert an API result into MCP tool content blocks. options.outputDir is where other binaries
+// are saved, options.headers the response headers naming the file when the result lacks them.
+export async function formatToolResult(operation, result, options = {}) {
+  const { binary, ...summary } = result;
+
+  if (!binary) {
+    return [{ type: "text", text: JSON.stringify(summary, null, 2) }];
+  }
+
+  const { data, mimeType } = binary;
+
+  // Images are shown to the model directly
+  if (mimeType.startsWith("image/")) {
+    return [
+      { type: "text", text: JSON.stringify(summary, null, 2) },
+      { type: "image", data: data.toString("base64"), mimeType },
+    ];
+  }
+
+  // Other binaries go to the output directory when one is configured
+  if (options.outputDir) {
+    await fs.promises.mkdir(options.outputDir, { recursive: true });
+    const filePath = await writeNewFile(options.outputDir, outputFileName(operation, result, options.headers), data);
+    log.info(`Wrote ${mimeType} response to ${filePath}`);
+
+    summary.body = `[${mimeType} response, ${data.length} bytes, saved to ${filePath}]`;
+    return [{ type: "text", text: JSON.stringify(summary, null, 2) }];
+  }
+
+  // Otherwise embed the bytes as a resource
+  return [
+    { type: "text", text: JSON.stringify(summary, null, 2) },
+    {
+      type: "resource",
+      resource: {
+        uri: `openapi://responses/${encodeURIComponent(operation.operationId)}/${Date.now()}`,
+        mimeType: mimeType || "application/octet-stream",
+        blob: data.toString("base64"),
+      },
+    },
+  ];
+}
@@ -0,0 +1,68 @@
+// Default timeout and retry policy of API requests
+export const RETRY_DEFAULTS = {
+  timeout: 30000,
+  retries: 2,
+  baseDelay: 500,
+  maxDelay: 10000,
+  maxRetryAfter: 60000,
+  retryNonIdempotent: false,
+};
+
+// Methods that can be repeated without changing the outcome
+export const IDEMPOTENT_METHODS = ["get", "head", "options", "put", "delete"];
+
+// Statuses worth another attempt
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Build a retry policy from the defaults and any number of partial overrides
+export function retryPolicy(...overrides) {
+  const policy = { ...RETRY_DEFAULTS };
+  for (const override of overrides) {
+    for (const [key, value] of Object.entries(override || {})) {
+      if (value !== undefined && key in RETRY_DEFAULTS) {
+        policy[key] = value;
+      }
+    }
+  }
+
+  for (const key of ["timeout", "retries", "baseDelay", "maxDelay", "maxRetryAfter"]) {
+    if (!Number.isFinite(Number(policy[key])) || Number(policy[key]) < 0) {
+      throw new Error(`Invalid retry setting ${key}: ${policy[key]}`);
+    }
+    policy[key] = Number(policy[key]);
+  }
+  return policy;
+}
+
+// Check whether a request with this method may be sent again
+export function canRetry(method, policy) {
+  return IDEMPOTENT_METHODS.includes(method.toLowerCase()) || Boolean(policy.retryNonIdempotent);
+}
+
+// Check whether a response status is worth another attempt
+export function isRetryableStatus(status) {
+  return RETRYABLE_STATUSES.includes(status);
+}
+
+// Exponential backoff with jitter: half the delay is fixed, the other half random
+export function backoffDelay(attempt, policy, random = Math.random) {
+  const delay = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + random() * (delay / 2));
+}
+
+// Milliseconds to wait according to a Retry-After header (seconds or HTTP date)
+export function retryAfterDelay(value, now = Date.now()) {
+  if (!value) {
+    return undefined;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value.trim()) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+// Wait for a number of milliseconds
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
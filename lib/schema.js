@@ -0,0 +1,175 @@
+import { log } from "./log.js";
+
+// Keywords whose value is a single subschema
+const SCHEMA_KEYWORDS = ["items", "additionalProperties", "not", "contains", "propertyNames", "if", "then", "else"];
+
+// Keywords whose value is a list of subschemas
+const SCHEMA_LIST_KEYWORDS = ["oneOf", "anyOf", "prefixItems"];
+
+// Keywords whose value is a map of name -> subschema
+const SCHEMA_MAP_KEYWORDS = ["properties", "patternProperties", "$defs"];
+
+// Resolve a local JSON pointer such as "#/components/schemas/Foo" against the spec root
+export function resolvePointer(root, ref) {
+  if (typeof ref !== "string" || !ref.startsWith("#")) {
+    throw new Error(`Only local references are supported: ${ref}`);
+  }
+
+  const segments = ref
+    .slice(1)
+    .split("/")
+    .filter(Boolean)
+    .map(segment => decodeURIComponent(segment).replace(/~1/g, "/").replace(/~0/g, "~"));
+
+  let target = root;
+  for (const segment of segments) {
+    if (target === null || typeof target !== "object" || !(segment in target)) {
+      throw new Error(`Unable to resolve reference: ${ref}`);
+    }
+    target = target[segment];
+  }
+
+  return target;
+}
+
+// Follow a chain of $ref objects (parameters, request bodies, responses) to the referenced object
+export function resolveRef(value, root) {
+  const seen = new Set();
+  let current = value;
+
+  while (current && typeof current === "object" && typeof current.$ref === "string") {
+    if (seen.has(current.$ref)) {
+      throw new Error(`Circular reference: ${current.$ref}`);
+    }
+    seen.add(current.$ref);
+
+    const { $ref, ...siblings } = current;
+    current = { ...resolvePointer(root, $ref), ...siblings };
+  }
+
+  return current;
+}
+
+// Merge one dereferenced schema into another, as needed for allOf
+function mergeSchemas(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (key === "properties") {
+      target.properties = { ...(target.properties || {}) };
+      for (const [name, property] of Object.entries(value)) {
+        target.properties[name] = target.properties[name]
+          ? mergeSchemas({ ...target.properties[name] }, property)
+          : property;
+      }
+    } else if (key === "required") {
+      target.required = [...new Set([...(target.required || []), ...value])];
+    } else if (!(key in target)) {
+      target[key] = value;
+    }
+  }
+
+  return target;
+}
+
+// Inline local $refs, merge allOf and recurse into every nested subschema.
+// References already being expanded higher up the stack are cut off to break cycles.
+export function dereferenceSchema(schema, root, stack = []) {
+  if (schema === null || typeof schema !== "object" || Array.isArray(schema)) {
+    return schema;
+  }
+
+  if (typeof schema.$ref === "string") {
+    const { $ref, ...siblings } = schema;
+    const name = $ref.split("/").pop();
+
+    if (stack.includes($ref)) {
+      log(`Circular schema reference detected: ${$ref}`);
+      return {
+        type: "object",
+        description: siblings.description || `Recursive reference to ${name} (not expanded)`,
+      };
+    }
+
+    let target;
+    try {
+      target = resolvePointer(root, $ref);
+    } catch (error) {
+      log.warn(`Error resolving schema reference: ${error.message}`);
+      return { ...siblings, description: siblings.description || `Unresolved reference to ${$ref}` };
+    }
+
+    const resolved = dereferenceSchema(target, root, [...stack, $ref]);
+    const extra = dereferenceSchema(siblings, root, stack);
+    return { ...resolved, ...extra };
+  }
+
+  const result = {};
+
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === "allOf") continue;
+
+    if (SCHEMA_KEYWORDS.includes(key) && value && typeof value === "object") {
+      result[key] = dereferenceSchema(value, root, stack);
+    } else if (SCHEMA_LIST_KEYWORDS.includes(key) && Array.isArray(value)) {
+      result[key] = value.map(item => dereferenceSchema(item, root, stack));
+    } else if (SCHEMA_MAP_KEYWORDS.includes(key) && value && typeof value === "object") {
+      result[key] = Object.fromEntries(
+        Object.entries(value).map(([name, item]) => [name, dereferenceSchema(item, root, stack)]),
+      );
+    } else {
+      result[key] = value;
+    }
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    for (const member of schema.allOf) {
+      mergeSchemas(result, dereferenceSchema(member, root, stack));
+    }
+  }
+
+  return result;
+}
+
+// Inline every local $ref of a document such as the whole spec, keeping any sibling keys.
+// References already being expanded higher up the stack, or that cannot be resolved, stay as they are.
+export function dereferenceDocument(value, root, stack = []) {
+  if (Array.isArray(value)) {
+    return value.map(item => dereferenceDocument(item, root, stack));
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+
+  if (typeof value.$ref === "string" && !stack.includes(value.$ref)) {
+    const { $ref, ...siblings } = value;
+    let target;
+    try {
+      target = resolvePointer(root, $ref);
+    } catch {
+      return value;
+    }
+    return { ...dereferenceDocument(target, root, [...stack, $ref]), ...dereferenceDocument(siblings, root, stack) };
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, dereferenceDocument(item, root, stack)]));
+}
+
+// Build the input schema for a single operation parameter
+export function parameterSchema(param, root) {
+  let schema = param.schema;
+
+  // Parameters may describe their value through a media type instead of a schema
+  if (!schema && param.content) {
+    const mediaType = Object.values(param.content)[0];
+    schema = mediaType?.schema;
+  }
+
+  const resolved = dereferenceSchema(schema || {}, root);
+  const hasType = resolved.type || resolved.oneOf || resolved.anyOf || resolved.enum || resolved.const !== undefined;
+
+  return {
+    ...(hasType ? {} : { type: "string" }),
+    ...resolved,
+    description: param.description || resolved.description || `${param.name} parameter`,
+    ...(param.deprecated ? { deprecated: true } : {}),
+  };
+}
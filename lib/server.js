@@ -0,0 +1,174 @@
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import {
+  CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListToolsRequestSchema,
+  ReadResourceRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+import { auditEntry, auditSettings, createAuditLog } from "./audit.js";
+import { describeOperation } from "./description.js";
+import { isOperationAllowed } from "./filter.js";
+import { log } from "./log.js";
+import { CONFIRM_ARGUMENT, createConfirmations, isReadOnlyOperation } from "./policy.js";
+import { createRateLimiter, rateLimitSettings } from "./ratelimit.js";
+import { listResources, readResource } from "./resources.js";
+import { callTool, DRY_RUN_ARGUMENT, errorResult, toolInputSchema } from "./tools.js";
+
+// Method and path of a tool's operation, for messages
+function endpoint(operation) {
+  return `${operation.method.toUpperCase()} ${operation.path}`;
+}
+
+// Run a dangerous operation in two steps. Without a confirmation token the call is only previewed
+// and a token is issued for these exact arguments; calling again with the token executes it.
+async function confirmedCall(tool, args, callOptions, confirmations) {
+  const { [CONFIRM_ARGUMENT]: token, ...callArgs } = args;
+
+  if (token === undefined) {
+    const preview = await callTool(tool.operation, callArgs, { ...callOptions, dryRun: true });
+    if (preview.isError) {
+      return preview;
+    }
+    const { token: issued, expiresInSeconds } = confirmations.issue(tool.name, callArgs);
+    log.info(`Confirmation required for ${tool.name}, token issued`);
+    const instructions =
+      `Confirmation required: ${tool.name} (${endpoint(tool.operation)}) is marked as dangerous and was NOT ` +
+      "executed. The request it would send is shown below. To execute it, call the tool again with the same " +
+      `arguments plus "${CONFIRM_ARGUMENT}": "${issued}" within ${expiresInSeconds} seconds.`;
+    return { ...preview, content: [{ type: "text", text: instructions }, ...preview.content] };
+  }
+
+  const confirmation = confirmations.redeem(tool.name, callArgs, token);
+  if (!confirmation.ok) {
+    log.info(`Confirmation rejected for ${tool.name}: ${confirmation.reason}`);
+    throw new Error(
+      `${tool.name} was not executed: ${confirmation.reason}. ` +
+      `Call it without "${CONFIRM_ARGUMENT}" to preview the request and get a new token.`,
+    );
+  }
+  log.info(`Confirmed call to ${tool.name}`);
+  return callTool(tool.operation, callArgs, callOptions);
+}
+
+// Create the MCP server for the loaded specs.
+// `state` holds { specs, tools } and is read on every request, so reloads can swap them.
+export function createServer(state, options = {}) {
+  log("Creating MCP server instance");
+  const server = new Server(
+    { name: "openapi", version: "1.0.0" },
+    { capabilities: { tools: { listChanged: true }, resources: { listChanged: true } } },
+  );
+  const confirmations = createConfirmations();
+  const rateLimiter = createRateLimiter(rateLimitSettings(options.rateLimit));
+  const audit = auditSettings(options.audit);
+  const auditLog = audit.file ? createAuditLog(audit) : undefined;
+
+  // Handle list tools request
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    try {
+      log("Received list tools request");
+
+      // Create tool definitions from operations
+      const tools = [...state.tools.values()].map(({ name, operation, pagination, dangerous }) => ({
+        name,
+        description: describeOperation(operation, { maxLength: options.descriptionMaxLength, dangerous }),
+        inputSchema: toolInputSchema(operation, { pagination, dangerous }),
+      }));
+
+      log(`Returning ${tools.length} tool definitions`);
+      if (tools.length > 0) {
+        log.trace("First tool example:", JSON.stringify(tools[0]));
+      }
+
+      return { tools };
+    } catch (error) {
+      log.error("Error handling list tools request:", error);
+      throw error;
+    }
+  });
+
+  // Run one tool call; refusals throw and are turned into error results by the handler
+  const runToolCall = async (request) => {
+    const name = request.params.name;
+    log.info("Received tool call:", name);
+
+    // Find the operation for this tool
+    const tool = state.tools.get(name);
+    if (!tool) {
+      log.info(`Unknown operation: ${name}`);
+      const readOnly = (state.specs || []).some(spec => spec.readOnly)
+        ? " (the server is in read-only mode, which only exposes GET and HEAD operations)"
+        : "";
+      throw new Error(`Unknown operation: ${name}${readOnly}`);
+    }
+
+    // Hidden operations are never in the table; check again so the filter holds regardless
+    if (!isOperationAllowed(tool.operation, tool.spec.filter)) {
+      log.info(`Operation hidden by the tool filter: ${name}`);
+      throw new Error(`Operation ${name} is not exposed by this server (excluded by the tool filter)`);
+    }
+
+    // Same for read-only mode
+    if (tool.spec.readOnly && !isReadOnlyOperation(tool.operation)) {
+      log.info(`Operation blocked by read-only mode: ${name}`);
+      throw new Error(
+        `Operation ${name} (${endpoint(tool.operation)}) is not available: the server is in read-only mode, ` +
+        "which only allows GET and HEAD operations",
+      );
+    }
+
+    const args = request.params.arguments || {};
+    const callOptions = {
+      toolName: tool.name,
+      baseUrl: tool.spec.baseUrl,
+      headers: tool.headers,
+      contentTypeWithoutBody: tool.spec.contentTypeWithoutBody,
+      auth: tool.spec.auth,
+      retry: tool.retry,
+      response: tool.response,
+      pagination: tool.pagination,
+      dryRun: tool.spec.dryRun,
+      outputDir: options.responseOutputDir,
+      uploadDir: options.uploadDir,
+      throttle: callArgs => rateLimiter.acquire(tool, callArgs),
+    };
+
+    // Dangerous operations need a confirmed second call, unless the call is only previewed anyway
+    if (tool.dangerous && !tool.spec.dryRun && args[DRY_RUN_ARGUMENT] !== true) {
+      return await confirmedCall(tool, args, callOptions, confirmations);
+    }
+
+    // Validate the arguments and execute the API call
+    return await callTool(tool.operation, args, callOptions);
+  };
+
+  // Handle tool calls, recording each one in the audit log
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const started = Date.now();
+    let result;
+    try {
+      result = await runToolCall(request);
+    } catch (error) {
+      log.warn("Error handling tool call:", error);
+      result = errorResult(error instanceof Error ? error.message : String(error));
+    }
+
+    const { name, arguments: args } = request.params;
+    auditLog?.record(auditEntry(name, state.tools.get(name)?.operation, args, result, started));
+    return result;
+  });
+
+  // Handle resource requests
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    log("Received list resources request");
+    return { resources: listResources(state) };
+  });
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    log("Received read resource request:", request.params.uri);
+    return readResource(request.params.uri, state);
+  });
+
+  log("Successfully registered all request handlers");
+  return server;
+}
@@ -0,0 +1,98 @@
+// Base URL used when the spec declares no servers
+export const DEFAULT_BASE_URL = "http://localhost:8080";
+
+// Look up a configured variable value, ignoring case so SERVER_VARIABLE_PORT matches {port}
+function variableValue(variables, name) {
+  const key = Object.keys(variables).find(candidate => candidate.toLowerCase() === name.toLowerCase());
+  return key === undefined ? undefined : String(variables[key]);
+}
+
+// Substitute {variables} in a server URL with configured values or their defaults,
+// checking values against the variable's enum
+export function resolveServerUrl(server, variables = {}) {
+  const declared = server.variables || {};
+
+  return server.url.replace(/\{([^}]+)\}/g, (_, name) => {
+    const definition = declared[name] || {};
+    const value = variableValue(variables, name) ?? (definition.default !== undefined ? String(definition.default) : undefined);
+
+    if (value === undefined) {
+      throw new Error(`Server variable "${name}" of ${server.url} has no value and no default`);
+    }
+    if (Array.isArray(definition.enum) && !definition.enum.map(String).includes(value)) {
+      throw new Error(
+        `Invalid value "${value}" for server variable "${name}" (expected one of ${definition.enum.join(", ")})`,
+      );
+    }
+    return value;
+  });
+}
+
+// Describe the servers for error messages
+function listServers(servers) {
+  return servers
+    .map((server, index) => `${index}: ${server.url}${server.description ? ` (${server.description})` : ""}`)
+    .join(", ");
+}
+
+// Pick a server by index or by a case-insensitive match on its description.
+// Without a selection the first server is used.
+export function selectServer(servers, selection) {
+  if (!servers || servers.length === 0) {
+    return undefined;
+  }
+  if (selection === undefined || selection === null || selection === "") {
+    return servers[0];
+  }
+
+  if (/^\d+$/.test(String(selection))) {
+    const server = servers[Number(selection)];
+    if (!server) {
+      throw new Error(`No server at index ${selection} (available: ${listServers(servers)})`);
+    }
+    return server;
+  }
+
+  const wanted = String(selection).toLowerCase();
+  const server = servers.find(candidate => (candidate.description || "").toLowerCase() === wanted) ||
+    servers.find(candidate => (candidate.description || "").toLowerCase().includes(wanted));
+  if (!server) {
+    throw new Error(`No server matches "${selection}" (available: ${listServers(servers)})`);
+  }
+  return server;
+}
+
+// Make a relative server URL absolute: relative to the spec's URL when it was fetched,
+// otherwise relative to the default base URL
+function absoluteUrl(url, source) {
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(url)) {
+    return url;
+  }
+  const base = /^https?:\/\//i.test(source || "") ? source : DEFAULT_BASE_URL;
+  return new URL(url, base).toString().replace(/\/$/, "");
+}
+
+// Base URL of a spec: an explicit override, else the selected server with its variables resolved
+export function specBaseUrl(spec, options = {}) {
+  if (options.baseUrl) {
+    return options.baseUrl;
+  }
+  const server = selectServer(spec.servers, options.server);
+  return server ? absoluteUrl(resolveServerUrl(server, options.variables), options.source) : DEFAULT_BASE_URL;
+}
+
+// Base URL of an operation with its own (or its path's) servers. The configured selection is used
+// when it matches one of them, otherwise their first server.
+export function operationServerUrl(servers, options = {}) {
+  if (!servers || servers.length === 0) {
+    return undefined;
+  }
+
+  let server;
+  try {
+    server = selectServer(servers, options.server);
+  } catch (error) {
+    server = servers[0];
+  }
+  return absoluteUrl(resolveServerUrl(server, options.variables), options.source);
+}
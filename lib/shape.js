@@ -0,0 +1,173 @@
+import { RESPONSE_VALIDATION_MODES } from "./response.js";
+
+// Tool argument selecting part of the response body
+export const SELECT_ARGUMENT = "_select";
+
+// Default maximum size of a response body in characters of JSON; 0 disables the limit
+export const DEFAULT_RESPONSE_MAX_SIZE = 100000;
+
+// Array item and string length limits tried in turn until a body fits its maximum size
+const TRUNCATION_LEVELS = [
+  [100, 10000],
+  [50, 5000],
+  [20, 2000],
+  [10, 1000],
+  [5, 500],
+  [3, 200],
+  [1, 100],
+  [0, 50],
+];
+
+// Build the response settings (shaping and validation) from the defaults and any number of
+// partial overrides
+export function responseSettings(...overrides) {
+  const settings = { maxSize: DEFAULT_RESPONSE_MAX_SIZE, compact: false, validation: "off" };
+  for (const override of overrides) {
+    if (override?.maxSize !== undefined && override.maxSize !== "") {
+      settings.maxSize = override.maxSize;
+    }
+    if (override?.compact !== undefined && override.compact !== "") {
+      settings.compact = override.compact === true || override.compact === "true";
+    }
+    if (override?.validation !== undefined && override.validation !== "") {
+      settings.validation = override.validation;
+    }
+  }
+
+  if (!Number.isInteger(Number(settings.maxSize)) || Number(settings.maxSize) < 0) {
+    throw new Error(`Invalid response maxSize: ${settings.maxSize}`);
+  }
+  settings.maxSize = Number(settings.maxSize);
+  if (!RESPONSE_VALIDATION_MODES.includes(settings.validation)) {
+    throw new Error(
+      `Invalid response validation: ${settings.validation} (expected one of ${RESPONSE_VALIDATION_MODES.join(", ")})`,
+    );
+  }
+  return settings;
+}
+
+// Split a path projection such as "messages[*].id" or "data.0.name" into segments
+function parsePath(path) {
+  const segments = [];
+  const pattern = /\[(\d+|\*)\]|(?:^|\.)([^.[\]]+)/y;
+
+  while (pattern.lastIndex < path.length) {
+    const start = pattern.lastIndex;
+    const match = pattern.exec(path);
+    if (!match) {
+      throw new Error(`Invalid ${SELECT_ARGUMENT} path "${path}" at character ${start + 1}`);
+    }
+    segments.push(match[1] ?? match[2]);
+  }
+  return segments;
+}
+
+// Parse a selection: a JSON pointer ("/messages/0") or comma-separated path projections
+// ("messages[*].id" or "id,name")
+export function parseSelection(expression) {
+  if (typeof expression !== "string" || expression.trim() === "") {
+    throw new Error(`Invalid ${SELECT_ARGUMENT}: expected a JSON pointer or a path such as "items[*].id"`);
+  }
+
+  if (expression.startsWith("/")) {
+    const pointer = expression
+      .slice(1)
+      .split("/")
+      .map(segment => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+    return { expression, pointer };
+  }
+
+  const paths = expression.split(",").map(path => path.trim());
+  return { expression, paths: paths.map(path => ({ path, segments: parsePath(path) })) };
+}
+
+// Follow path segments through a value; "*" maps over every array item or object value
+function applyPath(value, segments) {
+  if (segments.length === 0 || value === undefined) {
+    return value;
+  }
+
+  const [segment, ...rest] = segments;
+  if (value === null || typeof value !== "object") {
+    return undefined;
+  }
+  if (segment === "*") {
+    return Object.values(value)
+      .map(item => applyPath(item, rest))
+      .filter(item => item !== undefined);
+  }
+  return Object.hasOwn(value, segment) ? applyPath(value[segment], rest) : undefined;
+}
+
+// Select part of a value. A single path or pointer yields its value, several paths an object
+// keyed by path; parts that do not exist are null.
+export function selectValue(value, selection) {
+  if (selection.pointer) {
+    return applyPath(value, selection.pointer) ?? null;
+  }
+  if (selection.paths.length === 1) {
+    return applyPath(value, selection.paths[0].segments) ?? null;
+  }
+  return Object.fromEntries(selection.paths.map(({ path, segments }) => [path, applyPath(value, segments) ?? null]));
+}
+
+// Copy a value with arrays cut to `items` entries and strings to `chars` characters, each cut
+// marked in place
+function truncateWithin(value, items, chars) {
+  if (typeof value === "string") {
+    return value.length > chars ? `${value.slice(0, chars)}…truncated ${value.length - chars} characters` : value;
+  }
+  if (Array.isArray(value)) {
+    const kept = value.slice(0, items).map(item => truncateWithin(item, items, chars));
+    return value.length > items ? [...kept, `…truncated ${value.length - items} items`] : kept;
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, truncateWithin(item, items, chars)]));
+  }
+  return value;
+}
+
+// Serialized size of a value in characters
+function sizeOf(value) {
+  return JSON.stringify(value ?? null, null, 2).length;
+}
+
+// Fit a value into `maxSize` characters of JSON by cutting arrays and long strings ever shorter.
+// Returns the value and whether anything was cut.
+export function truncateValue(value, maxSize) {
+  if (!maxSize || sizeOf(value) <= maxSize) {
+    return { value, truncated: false };
+  }
+
+  for (const [items, chars] of TRUNCATION_LEVELS) {
+    const candidate = truncateWithin(value, items, chars);
+    if (sizeOf(candidate) <= maxSize) {
+      return { value: candidate, truncated: true };
+    }
+  }
+
+  // Wide objects can stay too large at every level; fall back to cutting the JSON text
+  const text = JSON.stringify(value, null, 2);
+  return { value: `${text.slice(0, maxSize)}…truncated ${text.length - maxSize} characters`, truncated: true };
+}
+
+// Shape an API result for the model: select part of a successful body, drop the headers in
+// compact mode and keep the body within the maximum size
+export function shapeResult(result, options = {}) {
+  const shaped = { ...result };
+
+  if (options.selection && !result.binary && result.status < 400) {
+    shaped.select = options.selection.expression;
+    shaped.body = selectValue(result.body, options.selection);
+  }
+  if (options.compact) {
+    delete shaped.headers;
+  }
+
+  const { value, truncated } = truncateValue(shaped.body, options.maxSize);
+  if (truncated) {
+    shaped.body = value;
+    shaped.truncated = true;
+  }
+  return shaped;
+}
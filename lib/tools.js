@@ -0,0 +1,196 @@
+import { log } from "./log.js";
+import { DEFAULT_MAX_ITEMS, FETCH_ALL_ARGUMENT, fetchAllPages, MAX_ITEMS_ARGUMENT } from "./pagination.js";
+import { CONFIRM_ARGUMENT } from "./policy.js";
+import { makeApiRequest, previewRequest } from "./request.js";
+import { checkResponse, formatToolResult } from "./response.js";
+import { parseSelection, SELECT_ARGUMENT, shapeResult } from "./shape.js";
+import { validateArguments } from "./validate.js";
+
+// Tool argument asking for the request instead of sending it
+export const DRY_RUN_ARGUMENT = "_dryRun";
+
+// Build an MCP error result: the message, followed by `details` as JSON when given
+export function errorResult(message, details) {
+  const text = details === undefined ? `Error: ${message}` : `Error: ${message}\n\n${JSON.stringify(details, null, 2)}`;
+  return { content: [{ type: "text", text }], metadata: {}, isError: true };
+}
+
+// Build the MCP error result for arguments that failed validation of the named tool
+function validationErrorResult(name, errors) {
+  const lines = errors.map(error => `- ${error.path}: ${error.message}`);
+  return errorResult(`Invalid arguments for ${name}\n${lines.join("\n")}`, {
+    error: "invalid_arguments", tool: name, errors,
+  });
+}
+
+// Input schema of a tool: the operation's arguments plus the arguments controlling the result,
+// fetchAll/maxItems for paginated operations and the confirmation of dangerous ones
+export function toolInputSchema(operation, options = {}) {
+  const properties = {
+    ...operation.inputSchema.properties,
+    [SELECT_ARGUMENT]: {
+      type: "string",
+      description: "Return only part of the response body: a JSON pointer (\"/data/0\") " +
+        "or comma-separated paths (\"messages[*].id,count\")",
+    },
+    [DRY_RUN_ARGUMENT]: {
+      type: "boolean",
+      description: "Return the HTTP request (method, URL, headers, body and a curl command) instead of sending it",
+    },
+  };
+
+  if (options.pagination) {
+    properties[FETCH_ALL_ARGUMENT] = {
+      type: "boolean",
+      description: `Follow every page and return the merged items (up to ${DEFAULT_MAX_ITEMS} unless maxItems is set)`,
+    };
+    properties[MAX_ITEMS_ARGUMENT] = {
+      type: "integer",
+      minimum: 1,
+      description: "Follow pages until this many items were collected (implies fetchAll)",
+    };
+  }
+  if (options.dangerous) {
+    properties[CONFIRM_ARGUMENT] = {
+      type: "string",
+      description: "Confirmation token returned by a first call without it; required to execute this operation",
+    };
+  }
+
+  return { ...operation.inputSchema, properties };
+}
+
+// Build the MCP error result for a response of the named tool that does not match its declared schema
+function responseErrorResult(name, status, mismatches) {
+  const lines = mismatches.map(mismatch => `- ${mismatch}`);
+  return errorResult(`Response of ${name} (status ${status}) does not match the spec\n${lines.join("\n")}`, {
+    error: "invalid_response", tool: name, status, mismatches,
+  });
+}
+
+// Build the MCP error result for a call of the named tool refused by the rate limiter
+function rateLimitErrorResult(name, rejection) {
+  const retryAfterSeconds = Math.ceil(rejection.retryAfter / 1000);
+  const reason = rejection.mode === "queue"
+    ? `waiting would take longer than the maximum of ${Math.ceil(rejection.maxWait / 1000)} seconds`
+    : "calls over the limit are rejected";
+  return errorResult(
+    `Rate limit reached for ${name} (${rejection.limits.join(", ")}); ` +
+      `the request was not sent because ${reason}. Retry in ${retryAfterSeconds} seconds.`,
+    { error: "rate_limited", tool: name, limits: rejection.limits, retryAfterSeconds },
+  );
+}
+
+// Validate the arguments of a tool call, run the API request and build the MCP result.
+// options.toolName is the name the client calls the tool by (the operationId by default),
+// options.response holds the response settings (maximum body size, compact mode and schema
+// validation), options.pagination how the operation pages through its results,
+// options.dryRun whether every call only previews its request and options.throttle(args) the
+// rate limiter's verdict on the call.
+export async function callTool(operation, args, options = {}) {
+  const toolName = options.toolName || operation.operationId;
+  const validation = validateArguments(toolInputSchema(operation, { pagination: options.pagination }), args || {});
+  const { [SELECT_ARGUMENT]: select, [DRY_RUN_ARGUMENT]: dryRun, ...apiArgs } = validation.value;
+
+  let selection;
+  try {
+    selection = select === undefined ? undefined : parseSelection(select);
+  } catch (error) {
+    validation.errors.push({ path: `/${SELECT_ARGUMENT}`, message: error.message });
+  }
+
+  if (validation.errors.length > 0) {
+    log(`Rejected ${operation.operationId} call with ${validation.errors.length} invalid argument(s)`);
+    return validationErrorResult(toolName, validation.errors);
+  }
+
+  // fetchAll and maxItems are only arguments of paginated tools; elsewhere they belong to the API
+  let requestArgs = apiArgs;
+  let fetchAll;
+  let maxItems;
+  if (options.pagination) {
+    ({ [FETCH_ALL_ARGUMENT]: fetchAll, [MAX_ITEMS_ARGUMENT]: maxItems, ...requestArgs } = apiArgs);
+  }
+  const requestOptions = {
+    headers: options.headers,
+    contentTypeWithoutBody: options.contentTypeWithoutBody,
+    auth: options.auth,
+    retry: options.retry,
+    uploadDir: options.uploadDir,
+  };
+
+  // A global dry run cannot be switched off per call
+  if (options.dryRun || dryRun === true) {
+    log(`Dry run of operation: ${operation.method.toUpperCase()} ${operation.path}`);
+    const request = await previewRequest(operation, requestArgs, options.baseUrl, requestOptions);
+    return {
+      content: [{ type: "text", text: JSON.stringify({ dryRun: true, ...request }, null, 2) }],
+      metadata: { dryRun: true },
+    };
+  }
+
+  // Every request takes a token, so each page of fetchAll counts against the limits too. The
+  // waits add up and the budget left after the last request is reported.
+  let rateLimit;
+  const throttle = async callArgs => {
+    const granted = options.throttle ? await options.throttle(callArgs) : undefined;
+    if (granted?.ok) {
+      rateLimit = { waited: (rateLimit?.waited || 0) + granted.waited, remaining: granted.remaining };
+    }
+    return granted;
+  };
+
+  // Calls over their rate limit wait for a token or are refused before anything is sent
+  const granted = await throttle(apiArgs);
+  if (granted?.ok === false) {
+    return rateLimitErrorResult(toolName, granted);
+  }
+
+  log(`Executing operation: ${operation.method.toUpperCase()} ${operation.path}`);
+
+  // Execute the API call with the coerced arguments, following pages when asked to. A page refused
+  // by the rate limiter ends the pagination with the items collected so far.
+  const sendRequest = pageArgs => makeApiRequest(operation, pageArgs, options.baseUrl, requestOptions);
+  let sentPages = 0;
+  const sendPage = async pageArgs => {
+    if (sentPages++ > 0 && (await throttle(pageArgs))?.ok === false) {
+      return { status: 429, headers: {}, body: null, attempts: 0, rateLimited: true };
+    }
+    return sendRequest(pageArgs);
+  };
+  const fetchPages = fetchAll === true || (maxItems !== undefined && fetchAll !== false);
+  const result = fetchPages
+    ? await fetchAllPages(options.pagination, requestArgs, maxItems ?? DEFAULT_MAX_ITEMS, sendPage)
+    : await sendRequest(requestArgs);
+
+  log(`API call finished, status: ${result.status} after ${result.attempts} attempt(s)`);
+
+  // Compare the response with the spec before it is shaped
+  const validationMode = options.response?.validation || "off";
+  if (validationMode !== "off") {
+    const mismatches = checkResponse(operation, result);
+    if (mismatches.length > 0) {
+      log.warn(`Response of ${operation.operationId} does not match the spec: ${mismatches.length} mismatch(es)`);
+      if (validationMode === "strict") {
+        return responseErrorResult(toolName, result.status, mismatches);
+      }
+      result.warnings = mismatches;
+    }
+  }
+
+  if (rateLimit) {
+    result.rateLimit = rateLimit;
+  }
+
+  // Rate limiting and unavailability that outlasted the retries are failures, not answers
+  const failed = result.status === 429 || result.status === 503;
+
+  // Compact mode drops the headers from the result, but a saved file keeps the name the server sent
+  const shaped = shapeResult(result, { ...options.response, selection });
+
+  return {
+    content: await formatToolResult(operation, shaped, { outputDir: options.outputDir, headers: result.headers }),
+    metadata: { status: result.status },
+    ...(failed ? { isError: true } : {}),
+  };
+}
@@ -0,0 +1,260 @@
+// Minimal JSON Schema validator for tool arguments and API responses.
+// For arguments it coerces obvious type mismatches coming from the model and fills in schema defaults.
+
+const INTEGER_PATTERN = /^[-+]?\d+$/;
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+// Escape a property name for use in a JSON pointer
+function pointerSegment(name) {
+  return String(name).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+// JSON Schema type name of a value
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+// Check a value against a single JSON Schema type name
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+// Allowed types of a schema, taking OpenAPI 3.0 nullable into account
+function schemaTypes(schema) {
+  if (schema.type === undefined) return [];
+  const types = Array.isArray(schema.type) ? [...schema.type] : [schema.type];
+  if (schema.nullable && !types.includes("null")) types.push("null");
+  return types;
+}
+
+// Try to convert a value into the given type; returns undefined when not possible
+function coerceToType(value, type) {
+  const actual = typeOf(value);
+
+  switch (type) {
+    case "integer":
+      if (actual === "string" && INTEGER_PATTERN.test(value.trim())) return Number(value);
+      if (actual === "boolean") return value ? 1 : 0;
+      break;
+    case "number":
+      if (actual === "string" && NUMBER_PATTERN.test(value.trim())) return Number(value);
+      break;
+    case "boolean":
+      if (value === "true" || value === 1 || value === "1") return true;
+      if (value === "false" || value === 0 || value === "0") return false;
+      break;
+    case "string":
+      if (actual === "number" || actual === "integer" || actual === "boolean") return String(value);
+      break;
+    case "null":
+      if (value === "null" || value === "") return null;
+      break;
+    case "array":
+    case "object":
+      if (actual === "string") {
+        try {
+          const parsed = JSON.parse(value);
+          if (matchesType(parsed, type)) return parsed;
+        } catch (e) {
+          // Not JSON, fall through
+        }
+      }
+      if (type === "array" && actual !== "object") return [value];
+      break;
+  }
+
+  return undefined;
+}
+
+// Deep equality for enum and const checks
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Test a string against a schema pattern; patterns JavaScript cannot compile are ignored
+function matchesPattern(pattern, value) {
+  try {
+    return new RegExp(pattern, "u").test(value);
+  } catch (e) {
+    return true;
+  }
+}
+
+// Clone a default value so later mutation does not leak into the schema
+function cloneDefault(value) {
+  return value !== null && typeof value === "object" ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+// Validate (and, unless `coerce` is false, coerce) a value against a schema, collecting errors
+// with their JSON path
+function validateValue(schema, value, path, errors, coerce = true) {
+  if (!schema || typeof schema !== "object") return value;
+  const at = path || "/";
+
+  // Types, with coercion
+  const types = schemaTypes(schema);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    const coerced = coerce
+      ? types.map(type => coerceToType(value, type)).find(result => result !== undefined)
+      : undefined;
+    if (coerced === undefined) {
+      errors.push({ path: at, message: `must be ${types.join(" or ")}, got ${typeOf(value)}` });
+      return value;
+    }
+    value = coerced;
+  }
+
+  // Composition. oneOf is checked like anyOf: loosely specified object branches
+  // often overlap, and rejecting those calls would be worse than picking the first match.
+  const branches = schema.oneOf || schema.anyOf;
+  if (Array.isArray(branches)) {
+    let matched = false;
+    for (const branch of branches) {
+      const branchErrors = [];
+      const branchValue = validateValue(branch, cloneDefault(value), path, branchErrors, coerce);
+      if (branchErrors.length === 0) {
+        value = branchValue;
+        matched = true;
+        break;
+      }
+    }
+    if (!matched) {
+      errors.push({ path: at, message: "must match one of the allowed schemas" });
+    }
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    for (const member of schema.allOf) {
+      value = validateValue(member, value, path, errors, coerce);
+    }
+  }
+
+  // Enumerations
+  if (Array.isArray(schema.enum) && !schema.enum.some(item => isEqual(item, value))) {
+    errors.push({ path: at, message: `must be one of ${schema.enum.map(item => JSON.stringify(item)).join(", ")}` });
+  }
+  if (schema.const !== undefined && !isEqual(schema.const, value)) {
+    errors.push({ path: at, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  const actual = typeOf(value);
+
+  // Strings
+  if (actual === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: at, message: `must have at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: at, message: `must have at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern !== undefined && !matchesPattern(schema.pattern, value)) {
+      errors.push({ path: at, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+
+  // Numbers
+  if (actual === "number" || actual === "integer") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+    }
+    if (typeof schema.exclusiveMinimum === "number" && value <= schema.exclusiveMinimum) {
+      errors.push({ path: at, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+    if (typeof schema.exclusiveMaximum === "number" && value >= schema.exclusiveMaximum) {
+      errors.push({ path: at, message: `must be < ${schema.exclusiveMaximum}` });
+    }
+    if (schema.multipleOf !== undefined && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+      errors.push({ path: at, message: `must be a multiple of ${schema.multipleOf}` });
+    }
+  }
+
+  // Arrays
+  if (actual === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: at, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: at, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      errors.push({ path: at, message: "must not contain duplicate items" });
+    }
+    if (schema.items && typeof schema.items === "object") {
+      value = value.map((item, index) => validateValue(schema.items, item, `${path}/${index}`, errors, coerce));
+    }
+  }
+
+  // Objects
+  if (actual === "object") {
+    value = validateObject(schema, value, path, errors, coerce);
+  }
+
+  return value;
+}
+
+// Validate object properties, applying defaults for missing optional ones when coercing. Required
+// properties are checked on the caller's own keys and never filled in from a default.
+function validateObject(schema, value, path, errors, coerce) {
+  const at = path || "/";
+  const properties = schema.properties || {};
+  const required = schema.required || [];
+  const result = { ...value };
+
+  for (const name of required) {
+    if (value[name] === undefined) {
+      errors.push({ path: `${path}/${pointerSegment(name)}`, message: "is required" });
+    }
+  }
+
+  for (const [name, property] of Object.entries(properties)) {
+    const optional = !required.includes(name);
+    if (coerce && optional && result[name] === undefined && property && property.default !== undefined) {
+      result[name] = cloneDefault(property.default);
+    }
+  }
+
+  for (const [name, propertyValue] of Object.entries(result)) {
+    if (propertyValue === undefined) continue;
+    const propertyPath = `${path}/${pointerSegment(name)}`;
+
+    if (properties[name]) {
+      result[name] = validateValue(properties[name], propertyValue, propertyPath, errors, coerce);
+    } else if (schema.additionalProperties === false) {
+      errors.push({ path: propertyPath, message: "is not an allowed property" });
+    } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+      result[name] = validateValue(schema.additionalProperties, propertyValue, propertyPath, errors, coerce);
+    }
+  }
+
+  if (schema.minProperties !== undefined && Object.keys(result).length < schema.minProperties) {
+    errors.push({ path: at, message: `must have at least ${schema.minProperties} properties` });
+  }
+  if (schema.maxProperties !== undefined && Object.keys(result).length > schema.maxProperties) {
+    errors.push({ path: at, message: `must have at most ${schema.maxProperties} properties` });
+  }
+
+  return result;
+}
+
+// Validate tool arguments against an operation's input schema.
+// Returns the coerced arguments together with every error found.
+export function validateArguments(schema, args = {}) {
+  const errors = [];
+  const value = validateValue(schema, args ?? {}, "", errors);
+  return { valid: errors.length === 0, value, errors };
+}
+
+// Validate an API response body against its declared schema, without coercion or defaults
+export function validateResponseBody(schema, body) {
+  const errors = [];
+  validateValue(schema, body, "", errors, false);
+  return { valid: errors.length === 0, errors };
+}
@@ -0,0 +1,156 @@
+import * as fs from "node:fs";
+import * as path from "node:path";
+import { log } from "./log.js";
+import { buildToolTable, loadSpec } from "./registry.js";
+import { isRemoteSpec } from "./remote.js";
+
+// Editors often write a file in several steps; wait for them to settle before reloading
+const DEFAULT_DEBOUNCE_MS = 200;
+
+// Local files referenced through external $refs, resolved against the spec's location
+export function referencedFiles(spec, source) {
+  const files = new Set();
+
+  const visit = value => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+      return;
+    }
+    if (!value || typeof value !== "object") {
+      return;
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (key === "$ref" && typeof item === "string") {
+        const file = item.split("#")[0];
+        if (file && !isRemoteSpec(file)) {
+          files.add(path.resolve(path.dirname(source), file));
+        }
+      } else {
+        visit(item);
+      }
+    }
+  };
+
+  visit(spec);
+  return [...files];
+}
+
+// Files a loaded spec depends on; remote specs are not watched
+function watchedFiles(spec) {
+  if (isRemoteSpec(spec.source)) {
+    return [];
+  }
+  return [path.resolve(spec.source), ...referencedFiles(spec.spec, spec.source)];
+}
+
+// Watch the local spec files (and the files they reference) and reload the specs that changed.
+// The new specs and tool table replace `state.specs` / `state.tools` in one step; when a reload
+// fails, the previous version keeps being served.
+export function watchSpecs(config, state, options = {}) {
+  const debounce = options.debounce ?? DEFAULT_DEBOUNCE_MS;
+  const changed = new Set();
+  let watchers = [];
+  let timer;
+  let reloading = Promise.resolve();
+  let closed = false;
+
+  // Reload the named specs and swap them in together with a rebuilt tool table
+  async function reload(names) {
+    try {
+      const specs = await Promise.all(state.specs.map(async current => {
+        if (!names.includes(current.name)) {
+          return current;
+        }
+        const entry = config.specs.find(candidate => candidate.name === current.name);
+        const loaded = await loadSpec(entry, config);
+        if (!loaded.spec || typeof loaded.spec !== "object") {
+          throw new Error(`Spec "${current.name}" is empty or not an object`);
+        }
+        return loaded;
+      }));
+      const tools = buildToolTable(specs);
+
+      state.specs = specs;
+      state.tools = tools;
+      log.info(`Reloaded spec(s) ${names.join(", ")}, now serving ${tools.size} tools`);
+    } catch (error) {
+      log.error(`Reload of spec(s) ${names.join(", ")} failed, keeping the previous version:`, error);
+      await options.onError?.(error, names);
+      return rewatch();
+    }
+
+    try {
+      await options.onReload?.(state, names);
+    } catch (error) {
+      log.error("Error notifying about reloaded specs:", error);
+    }
+    rewatch();
+  }
+
+  // Pick up files that were added to or removed from the specs' references
+  function rewatch() {
+    if (!closed) {
+      watch();
+    }
+  }
+
+  // Queue a reload of every spec depending on the file; reloads never overlap
+  function schedule(file) {
+    for (const spec of state.specs) {
+      if (watchedFiles(spec).includes(file)) {
+        changed.add(spec.name);
+      }
+    }
+    if (changed.size === 0) {
+      return;
+    }
+
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const names = [...changed];
+      changed.clear();
+      reloading = reloading.then(() => reload(names));
+    }, debounce);
+  }
+
+  // (Re)create the watchers. Directories are watched rather than the files themselves, so files
+  // replaced on save (write to a temp file, then rename) keep being watched.
+  function watch() {
+    watchers.forEach(watcher => watcher.close());
+
+    const directories = new Map();
+    for (const file of state.specs.flatMap(watchedFiles)) {
+      const directory = path.dirname(file);
+      if (!directories.has(directory)) {
+        directories.set(directory, new Set());
+      }
+      directories.get(directory).add(path.basename(file));
+    }
+
+    watchers = [];
+    for (const [directory, names] of directories) {
+      try {
+        watchers.push(fs.watch(directory, (event, filename) => {
+          if (filename && names.has(filename)) {
+            log.info(`Spec file changed (${event}): ${path.join(directory, filename)}`);
+            schedule(path.join(directory, filename));
+          }
+        }));
+      } catch (error) {
+        log.warn(`Cannot watch ${directory}: ${error.message}`);
+      }
+    }
+  }
+
+  watch();
+
+  return {
+    // Stop watching; resolves once an in-flight reload has finished
+    async close() {
+      closed = true;
+      clearTimeout(timer);
+      watchers.forEach(watcher => watcher.close());
+      await reloading;
+    },
+  };
+}
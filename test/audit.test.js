@@ -0,0 +1,147 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  auditEntry, auditFiles, auditSettings, createAuditLog, formatAuditEntry, parseAuditQuery, queryAuditLog
+} from '../lib/audit.js';
+
+const operation = { method: 'post', path: '/api/sendText' };
+
+// Audit entry at the given time
+function entry(timestamp, fields = {}) {
+  return {
+    timestamp, tool: 'waha__sendText', method: 'POST', path: '/api/sendText',
+    arguments: {}, status: 201, durationMs: 12, error: null, ...fields
+  };
+}
+
+describe('Audit log', () => {
+  let tmpDir;
+  let file;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openapi-mcp-audit-'));
+    file = path.join(tmpDir, 'audit.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('auditEntry', () => {
+    it('should record the call with redacted arguments', () => {
+      const result = { content: [{ type: 'text', text: '{}' }], metadata: { status: 201 } };
+      const args = { body: { chatId: '123@c.us', text: 'Hi' }, 'X-Api-Key': 'secret', token: 'abc' };
+      const started = Date.UTC(2026, 9, 18);
+      expect(auditEntry('waha__sendText', operation, args, result, started, started + 85)).toEqual({
+        timestamp: '2026-10-18T00:00:00.000Z',
+        tool: 'waha__sendText',
+        method: 'POST',
+        path: '/api/sendText',
+        arguments: { body: { chatId: '123@c.us', text: 'Hi' }, 'X-Api-Key': '[REDACTED]', token: '[REDACTED]' },
+        status: 201,
+        durationMs: 85,
+        error: null
+      });
+    });
+
+    it('should keep the first line of errors and mark dry runs', () => {
+      const refused = {
+        content: [{ type: 'text', text: 'Error: Unknown operation: sendText\n\nmore' }], metadata: {}, isError: true
+      };
+      expect(auditEntry('sendText', undefined, undefined, refused, 0, 1)).toMatchObject({
+        method: null, path: null, arguments: {}, status: null, error: 'Unknown operation: sendText'
+      });
+      const failed = { content: [{ type: 'text', text: '{"status":503}' }], metadata: { status: 503 }, isError: true };
+      expect(auditEntry('sendText', operation, {}, failed, 0, 1).error).toBe('HTTP 503');
+      expect(auditEntry('sendText', operation, {}, { content: [], metadata: { dryRun: true } }, 0, 1).dryRun).toBe(true);
+    });
+  });
+
+  describe('createAuditLog', () => {
+    it('should append one JSON line per entry', async () => {
+      const log = createAuditLog(auditSettings({ file }));
+      log.record(entry('2026-10-18T10:00:00.000Z'));
+      log.record(entry('2026-10-18T10:01:00.000Z', { status: 404 }));
+      const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(lines.map(line => line.status)).toEqual([201, 404]);
+    });
+
+    it('should rotate the file when the next entry would exceed the maximum size', () => {
+      const now = () => Date.parse('2026-10-18T10:00:00.000Z');
+      const log = createAuditLog(auditSettings({ file, maxSize: 300 }), { now });
+      for (let index = 0; index < 5; index++) {
+        log.record(entry(`2026-10-18T10:0${index}:00.000Z`));
+      }
+      expect(auditFiles(file).map(name => path.basename(name))).toEqual([
+        'audit-2026-10-18.jsonl', 'audit-2026-10-18.1.jsonl', 'audit-2026-10-18.2.jsonl', 'audit-2026-10-18.3.jsonl',
+        'audit.jsonl'
+      ]);
+      expect(fs.statSync(file).size).toBeLessThanOrEqual(300);
+    });
+
+    it('should rotate daily files written on an earlier day', () => {
+      fs.writeFileSync(file, `${JSON.stringify(entry('2026-10-17T23:00:00.000Z'))}\n`);
+      const yesterday = new Date('2026-10-17T23:00:00.000Z');
+      fs.utimesSync(file, yesterday, yesterday);
+
+      let time = Date.parse('2026-10-18T08:00:00.000Z');
+      const log = createAuditLog(auditSettings({ file, rotate: 'daily' }), { now: () => time });
+      log.record(entry('2026-10-18T08:00:00.000Z'));
+      log.record(entry('2026-10-18T08:01:00.000Z'));
+      expect(auditFiles(file).map(name => path.basename(name))).toEqual(['audit-2026-10-17.jsonl', 'audit.jsonl']);
+      expect(fs.readFileSync(file, 'utf8').trim().split('\n')).toHaveLength(2);
+
+      time = Date.parse('2026-10-19T00:05:00.000Z');
+      log.record(entry('2026-10-19T00:05:00.000Z'));
+      expect(auditFiles(file).map(name => path.basename(name)))
+        .toEqual(['audit-2026-10-17.jsonl', 'audit-2026-10-18.jsonl', 'audit.jsonl']);
+    });
+
+    it('should reject invalid settings', () => {
+      expect(() => auditSettings({ rotate: 'weekly' })).toThrow('Invalid audit log rotation: weekly (expected one of size, daily)');
+    });
+  });
+
+  describe('queryAuditLog', () => {
+    it('should filter rotated and current files by time, tool and status', async () => {
+      fs.writeFileSync(path.join(tmpDir, 'audit-2026-10-17.jsonl'), [
+        JSON.stringify(entry('2026-10-17T09:00:00.000Z')),
+        'not json',
+        JSON.stringify(entry('2026-10-17T10:00:00.000Z', { tool: 'waha__getChats', status: 200 }))
+      ].join('\n') + '\n');
+      fs.writeFileSync(file, [
+        JSON.stringify(entry('2026-10-18T09:00:00.000Z', { status: 500, error: 'HTTP 500' })),
+        JSON.stringify(entry('2026-10-18T10:00:00.000Z', { status: null, error: 'Rate limit reached' }))
+      ].join('\n') + '\n');
+      const now = Date.parse('2026-10-18T12:00:00.000Z');
+      const query = async args => (await queryAuditLog(file, parseAuditQuery(args, now))).map(item => item.timestamp);
+
+      expect(await query([])).toHaveLength(4);
+      expect(await query(['--since', '2026-10-17T09:30:00Z', '--until=2026-10-18T09:30:00Z'])).toEqual([
+        '2026-10-17T10:00:00.000Z', '2026-10-18T09:00:00.000Z'
+      ]);
+      expect(await query(['--since', '24h', '--status', 'error']))
+        .toEqual(['2026-10-18T09:00:00.000Z', '2026-10-18T10:00:00.000Z']);
+      expect(await query(['--tool', '*getChats'])).toEqual(['2026-10-17T10:00:00.000Z']);
+      expect(await query(['--status', '2xx,500', '--limit', '2']))
+        .toEqual(['2026-10-17T10:00:00.000Z', '2026-10-18T09:00:00.000Z']);
+    });
+
+    it('should reject invalid query arguments', () => {
+      expect(() => parseAuditQuery(['--since', 'yesterday']))
+        .toThrow('Invalid --since time: yesterday (expected an ISO date or a duration such as 24h)');
+      expect(() => parseAuditQuery(['--status', 'failed'])).toThrow('Invalid --status: failed');
+      expect(() => parseAuditQuery(['--verbose'])).toThrow('Unknown audit option: --verbose');
+      expect(() => parseAuditQuery(['--tool'])).toThrow('Missing value for --tool');
+    });
+  });
+
+  describe('formatAuditEntry', () => {
+    it('should summarize an entry on one line', () => {
+      expect(formatAuditEntry(entry('2026-10-18T10:00:00.000Z', { status: null, error: 'Rate limit reached' })))
+        .toBe('2026-10-18T10:00:00.000Z  -       12ms  waha__sendText  POST /api/sendText  error: Rate limit reached');
+    });
+  });
+});
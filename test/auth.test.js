@@ -0,0 +1,221 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import http from 'http';
+import { authEnvPrefix, authorize, createAuth, resolveCredentials } from '../lib/auth.js';
+import { extractOperations } from '../lib/operations.js';
+import { makeApiRequest } from '../lib/request.js';
+
+const securitySchemes = {
+  api_key: { type: 'apiKey', in: 'header', name: 'X-Api-Key' },
+  query_key: { type: 'apiKey', in: 'query', name: 'api_key' },
+  session_cookie: { type: 'apiKey', in: 'cookie', name: 'sid' },
+  bearer: { type: 'http', scheme: 'bearer' },
+  basic: { type: 'http', scheme: 'basic' },
+  oauth: { type: 'oauth2', flows: { clientCredentials: { tokenUrl: 'http://localhost/token', scopes: {} } } }
+};
+
+function operationWith(security) {
+  return { operationId: 'op', method: 'get', path: '/op', security };
+}
+
+describe('Authentication', () => {
+  describe('resolveCredentials', () => {
+    it('should read credentials from the config by scheme name', () => {
+      const credentials = resolveCredentials(securitySchemes, {
+        api_key: 'key',
+        basic: { username: 'user', password: 'pass' },
+        unknown: 'ignored'
+      });
+      expect(credentials).toEqual({
+        api_key: { value: 'key' },
+        basic: { username: 'user', password: 'pass' }
+      });
+    });
+
+    it('should read credentials from AUTH_<SCHEME> environment variables', () => {
+      expect(authEnvPrefix('api_key')).toBe('AUTH_API_KEY');
+      const credentials = resolveCredentials(securitySchemes, {}, {
+        AUTH_API_KEY: 'key',
+        AUTH_OAUTH_CLIENT_ID: 'id',
+        AUTH_OAUTH_CLIENT_SECRET: 'secret',
+        AUTH_OAUTH_SCOPES: 'read, write'
+      });
+      expect(credentials).toEqual({
+        api_key: { value: 'key' },
+        oauth: { clientId: 'id', clientSecret: 'secret', scopes: ['read', 'write'] }
+      });
+    });
+
+    it('should let the config take precedence over the environment', () => {
+      expect(resolveCredentials(securitySchemes, { bearer: 'config' }, { AUTH_BEARER: 'env' }))
+        .toEqual({ bearer: { value: 'config' } });
+    });
+  });
+
+  describe('authorize', () => {
+    const auth = createAuth(securitySchemes, resolveCredentials(securitySchemes, {
+      api_key: 'key',
+      query_key: 'q&key',
+      session_cookie: 'abc',
+      bearer: 'token',
+      basic: { username: 'user', password: 'pass' }
+    }));
+
+    it('should apply apiKey schemes in header, query and cookie', async () => {
+      const request = await authorize(operationWith([{ api_key: [], query_key: [], session_cookie: [] }]), auth);
+      expect(request.headers).toEqual({ 'X-Api-Key': 'key' });
+      expect(request.query).toEqual(['api_key=q%26key']);
+      expect(request.cookies).toEqual(['sid=abc']);
+    });
+
+    it('should apply HTTP bearer and basic schemes', async () => {
+      expect((await authorize(operationWith([{ bearer: [] }]), auth)).headers)
+        .toEqual({ Authorization: 'Bearer token' });
+      expect((await authorize(operationWith([{ basic: [] }]), auth)).headers)
+        .toEqual({ Authorization: `Basic ${Buffer.from('user:pass').toString('base64')}` });
+    });
+
+    it('should apply only the schemes the operation requires', async () => {
+      const request = await authorize(operationWith([{ bearer: [] }]), auth);
+      expect(request.schemes).toEqual(['bearer']);
+      expect((await authorize(operationWith([]), auth)).headers).toEqual({});
+    });
+
+    it('should pick the first requirement that has credentials', async () => {
+      const request = await authorize(operationWith([{ oauth: [] }, { api_key: [] }]), auth);
+      expect(request.schemes).toEqual(['api_key']);
+    });
+
+    it('should accept an API key already set as a static header', async () => {
+      const unconfigured = createAuth(securitySchemes, {});
+      const headers = { 'x-api-key': 'key', api_key: 'key' };
+      const request = await authorize(operationWith([{ api_key: [] }]), unconfigured, { headers });
+      expect(request.schemes).toEqual(['api_key']);
+      expect(request.headers).toEqual({});
+      expect((await authorize(operationWith([{ query_key: [] }]), unconfigured, { headers })).schemes).toEqual([]);
+    });
+
+    it('should send nothing when no requirement can be met or auth is optional', async () => {
+      expect((await authorize(operationWith([{ oauth: [] }]), auth)).schemes).toEqual([]);
+      expect((await authorize(operationWith([{}, { api_key: [] }]), auth)).schemes).toEqual([]);
+    });
+
+    it('should take requirements from the spec-level security', () => {
+      const [operation] = extractOperations({
+        openapi: '3.1.0',
+        info: { title: 'x', version: '1' },
+        security: [{ api_key: [] }],
+        paths: { '/a': { get: {} }, '/b': { get: { security: [] } } }
+      });
+      expect(operation.security).toEqual([{ api_key: [] }]);
+    });
+  });
+
+  describe('OAuth2 client credentials', () => {
+    let server;
+    let baseUrl;
+    let tokenRequests;
+    let apiRequests;
+    let validToken;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          // A token endpoint that never answers, and one that answers slowly
+          if (req.url === '/hang') {
+            return;
+          }
+          if (req.url === '/slow-token') {
+            setTimeout(() => res.end(JSON.stringify({ access_token: 'slow-token', expires_in: 3600 })), 300);
+            return;
+          }
+          res.setHeader('Content-Type', 'application/json');
+          if (req.url === '/token') {
+            tokenRequests.push({ authorization: req.headers.authorization, body });
+            validToken = `token-${tokenRequests.length}`;
+            res.end(JSON.stringify({ access_token: validToken, token_type: 'Bearer', expires_in: 3600 }));
+            return;
+          }
+          apiRequests.push(req.headers.authorization);
+          res.statusCode = req.headers.authorization === `Bearer ${validToken}` ? 200 : 401;
+          res.end(JSON.stringify({ ok: res.statusCode === 200 }));
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      tokenRequests = [];
+      apiRequests = [];
+      validToken = undefined;
+    });
+
+    function oauthAuth(tokenPath = '/token') {
+      const flows = { clientCredentials: { tokenUrl: `${baseUrl}${tokenPath}`, scopes: {} } };
+      const schemes = { oauth: { type: 'oauth2', flows } };
+      return createAuth(schemes, resolveCredentials(schemes, { oauth: { clientId: 'client', clientSecret: 's3cret' } }));
+    }
+
+    it('should fetch a token once and reuse it', async () => {
+      const auth = oauthAuth();
+      const operation = operationWith([{ oauth: ['messages:send'] }]);
+
+      const [first, second] = await Promise.all([authorize(operation, auth), authorize(operation, auth)]);
+      expect(first.headers.Authorization).toBe('Bearer token-1');
+      expect(second.headers.Authorization).toBe('Bearer token-1');
+      expect(tokenRequests).toHaveLength(1);
+      expect(tokenRequests[0].authorization).toBe(`Basic ${Buffer.from('client:s3cret').toString('base64')}`);
+      expect(tokenRequests[0].body).toBe('grant_type=client_credentials&scope=messages%3Asend');
+    });
+
+    it('should refresh the token when it is about to expire', async () => {
+      const auth = oauthAuth();
+      const operation = operationWith([{ oauth: [] }]);
+      await authorize(operation, auth);
+      for (const entry of auth.tokens.values()) entry.expiresAt = Date.now() + 1000;
+
+      expect((await authorize(operation, auth)).headers.Authorization).toBe('Bearer token-2');
+    });
+
+    it('should request a new token and retry once when the API rejects it', async () => {
+      const auth = oauthAuth();
+      const operation = operationWith([{ oauth: [] }]);
+      await authorize(operation, auth);
+      validToken = 'revoked';
+
+      const result = await makeApiRequest(operation, {}, baseUrl, { auth });
+      expect(result.status).toBe(200);
+      expect(apiRequests).toEqual(['Bearer token-1', 'Bearer token-2']);
+    });
+
+    it('should give up on a token endpoint that never answers when the request times out', async () => {
+      const auth = oauthAuth('/hang');
+      const operation = operationWith([{ oauth: [] }]);
+
+      await expect(makeApiRequest(operation, {}, baseUrl, { auth, retry: { timeout: 300, retries: 0 } }))
+        .rejects.toThrow('API request failed: request timed out after 300ms');
+      expect(apiRequests).toEqual([]);
+    });
+
+    it('should keep the shared token request going when one of its callers times out', async () => {
+      const auth = oauthAuth('/slow-token');
+      const operation = operationWith([{ oauth: [] }]);
+      validToken = 'slow-token';
+
+      const [first, second] = await Promise.allSettled([
+        makeApiRequest(operation, {}, baseUrl, { auth, retry: { timeout: 100, retries: 0 } }),
+        makeApiRequest(operation, {}, baseUrl, { auth, retry: { timeout: 5000, retries: 0 } })
+      ]);
+      expect(first.reason.message).toBe('API request failed: request timed out after 100ms');
+      expect(second.value.status).toBe(200);
+      expect(apiRequests).toEqual(['Bearer slow-token']);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { bodyEncoding, selectMediaType, bodyInputSchema, encodeRequestBody } from '../lib/body.js';
+
+describe('Request bodies', () => {
+  let tmpDir;
+  let imagePath;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openapi-mcp-body-'));
+    imagePath = path.join(tmpDir, 'photo.png');
+    fs.writeFileSync(imagePath, Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('selectMediaType', () => {
+    it('should prefer JSON over other media types', () => {
+      expect(selectMediaType({ 'multipart/form-data': {}, 'application/json': {} })).toBe('application/json');
+    });
+
+    it('should pick multipart before urlencoded and binary', () => {
+      expect(selectMediaType({
+        'application/octet-stream': {},
+        'application/x-www-form-urlencoded': {},
+        'multipart/form-data': {}
+      })).toBe('multipart/form-data');
+    });
+
+    it('should accept vendor JSON types and fall back to the first entry', () => {
+      expect(selectMediaType({ 'image/png': {}, 'application/vnd.api+json': {} })).toBe('application/vnd.api+json');
+      expect(selectMediaType({ 'image/png': {} })).toBe('image/png');
+      expect(selectMediaType({})).toBeUndefined();
+    });
+  });
+
+  describe('bodyEncoding', () => {
+    it('should classify media types', () => {
+      expect(bodyEncoding('application/json; charset=utf-8')).toBe('json');
+      expect(bodyEncoding('multipart/form-data')).toBe('multipart');
+      expect(bodyEncoding('application/x-www-form-urlencoded')).toBe('form');
+      expect(bodyEncoding('text/csv')).toBe('text');
+      expect(bodyEncoding('image/png')).toBe('binary');
+    });
+  });
+
+  describe('bodyInputSchema', () => {
+    it('should turn binary multipart fields into file path arguments', () => {
+      const schema = bodyInputSchema({
+        type: 'object',
+        properties: {
+          caption: { type: 'string' },
+          file: { type: 'string', format: 'binary' },
+          attachments: { type: 'array', items: { type: 'string', format: 'binary' } }
+        }
+      }, 'multipart/form-data');
+      expect(schema.properties.caption).toEqual({ type: 'string' });
+      expect(schema.properties.file.description).toContain('Path to a local file');
+      expect(schema.properties.attachments.items.description).toContain('Path to a local file');
+    });
+
+    it('should describe binary bodies as a file path', () => {
+      const schema = bodyInputSchema({ type: 'string', format: 'binary' }, 'application/octet-stream');
+      expect(schema.type).toBe('string');
+      expect(schema.description).toContain('application/octet-stream');
+    });
+
+    it('should leave JSON schemas untouched', () => {
+      const original = { type: 'object', properties: { file: { type: 'string', format: 'binary' } } };
+      expect(bodyInputSchema(original, 'application/json')).toBe(original);
+    });
+  });
+
+  describe('encodeRequestBody', () => {
+    it('should encode JSON by default', async () => {
+      const encoded = await encodeRequestBody({}, { a: 1 });
+      expect(encoded).toEqual({ body: '{"a":1}', contentType: 'application/json' });
+    });
+
+    it('should encode urlencoded forms', async () => {
+      const encoded = await encodeRequestBody(
+        { requestContentType: 'application/x-www-form-urlencoded' },
+        { name: 'a b', tags: ['x', 'y'], meta: { k: 1 } }
+      );
+      expect(encoded.contentType).toBe('application/x-www-form-urlencoded');
+      expect(encoded.body).toBe('name=a+b&tags=x&tags=y&meta=%7B%22k%22%3A1%7D');
+    });
+
+    it('should build multipart bodies with file parts', async () => {
+      const operation = {
+        requestContentType: 'multipart/form-data',
+        requestBodySchema: {
+          type: 'object',
+          properties: {
+            caption: { type: 'string' },
+            file: { type: 'string', format: 'binary' }
+          }
+        },
+        requestBody: {
+          content: {
+            'multipart/form-data': { encoding: { caption: {} } }
+          }
+        }
+      };
+      const encoded = await encodeRequestBody(operation, { caption: 'hello', file: imagePath }, { uploadDir: tmpDir });
+      expect(encoded.contentType).toBeUndefined();
+      expect(encoded.body.get('caption')).toBe('hello');
+      const file = encoded.body.get('file');
+      expect(file.name).toBe('photo.png');
+      expect(file.type).toBe('image/png');
+      expect(file.size).toBe(4);
+    });
+
+    it('should read binary bodies from a local path', async () => {
+      const encoded = await encodeRequestBody(
+        { requestContentType: 'application/octet-stream' },
+        'photo.png',
+        { uploadDir: tmpDir }
+      );
+      expect(encoded.contentType).toBe('application/octet-stream');
+      expect(Buffer.compare(encoded.body, fs.readFileSync(imagePath))).toBe(0);
+    });
+
+    it('should report unreadable files', async () => {
+      await expect(encodeRequestBody(
+        { requestContentType: 'application/octet-stream' },
+        path.join(tmpDir, 'missing.bin'),
+        { uploadDir: tmpDir }
+      )).rejects.toThrow('Unable to read file for "body"');
+    });
+
+    it('should refuse files outside the upload directory, also through symlinks', async () => {
+      const uploadDir = path.join(tmpDir, 'uploads');
+      fs.mkdirSync(uploadDir);
+      fs.symlinkSync(imagePath, path.join(uploadDir, 'link.png'));
+      const binary = { requestContentType: 'application/octet-stream' };
+
+      const root = fs.realpathSync(uploadDir);
+      for (const filePath of [imagePath, '../photo.png', 'link.png']) {
+        await expect(encodeRequestBody(binary, filePath, { uploadDir }))
+          .rejects.toThrow(`File for "body" is outside the upload directory ${root}: ${filePath}`);
+      }
+      await expect(encodeRequestBody(binary, imagePath)).rejects.toThrow('is outside the upload directory');
+    });
+  });
+});
@@ -0,0 +1,279 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { headerNameFromEnv, loadConfig, resolveSpecPath } from '../lib/config.js';
+import { buildToolTable, loadSpec, operationHeaders, toolName } from '../lib/registry.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SPEC = `openapi: 3.1.0
+info:
+  title: Billing
+  version: 1.0.0
+servers:
+  - url: https://billing.example.com
+paths:
+  /invoices:
+    post:
+      operationId: createInvoice
+      responses:
+        '201':
+          description: created
+`;
+
+describe('Configuration', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openapi-mcp-config-'));
+    fs.writeFileSync(path.join(tmpDir, 'billing.yaml'), SPEC);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function writeConfig(config) {
+    const configPath = path.join(tmpDir, 'config.json');
+    fs.writeFileSync(configPath, JSON.stringify(config));
+    return configPath;
+  }
+
+  describe('loadConfig', () => {
+    it('should build a single unprefixed spec from environment variables', () => {
+      const config = loadConfig({
+        OPENAPI_FILE: path.join(tmpDir, 'billing.yaml'),
+        HTTP_HEADERS_X_API_KEY: 'secret',
+        AUTH_API_KEY: 'key'
+      });
+      expect(config.specs).toEqual([{
+        name: 'default',
+        file: path.join(tmpDir, 'billing.yaml'),
+        prefix: '',
+        headers: { 'X-Api-Key': 'secret' },
+        serverVariables: {},
+        authEnv: { AUTH_API_KEY: 'key' }
+      }]);
+      expect(config.duplicateKeyPolicy).toBe('first-wins');
+    });
+
+    it('should turn every HTTP_HEADERS_<NAME> variable into a header', () => {
+      const config = loadConfig({
+        OPENAPI_FILE: path.join(tmpDir, 'billing.yaml'),
+        HTTP_HEADERS_X_API_KEY: 'secret',
+        HTTP_HEADERS_USER_AGENT: 'openapi-mcp',
+        HTTP_HEADERS_X_TRACE__ID: 'abc'
+      });
+      expect(config.specs[0].headers).toEqual({
+        'X-Api-Key': 'secret',
+        'User-Agent': 'openapi-mcp',
+        'X-Trace_Id': 'abc'
+      });
+      expect(headerNameFromEnv('AUTHORIZATION')).toBe('Authorization');
+      expect(config.contentTypeWithoutBody).toBe(true);
+      expect(loadConfig({ OPENAPI_FILE: path.join(tmpDir, 'billing.yaml'), CONTENT_TYPE_WITHOUT_BODY: 'false' })
+        .contentTypeWithoutBody).toBe(false);
+    });
+
+    it('should merge config-wide and per-spec headers and operation overrides', () => {
+      const configPath = writeConfig({
+        headers: { 'User-Agent': 'openapi-mcp', 'X-Tenant': 'all' },
+        operationHeaders: { createInvoice: { 'X-Idempotency': 'on' } },
+        specs: [{
+          name: 'billing',
+          file: 'billing.yaml',
+          headers: { 'X-Tenant': 'billing' },
+          operationHeaders: { 'GET /invoices': { 'Content-Type': null } }
+        }]
+      });
+      const [spec] = loadConfig({ OPENAPI_MCP_CONFIG: configPath }).specs;
+      expect(spec.headers).toEqual({ 'User-Agent': 'openapi-mcp', 'X-Tenant': 'billing' });
+      expect(spec.operationHeaders).toEqual({
+        createInvoice: { 'X-Idempotency': 'on' },
+        'GET /invoices': { 'Content-Type': null }
+      });
+
+      expect(() => loadConfig({ OPENAPI_MCP_CONFIG: writeConfig({ operationHeaders: [], specs: [{ file: 'billing.yaml' }] }) }))
+        .toThrow('Invalid "operationHeaders" in config file');
+    });
+
+    it('should read several specs from the config file', () => {
+      const configPath = writeConfig({
+        specs: [
+          { name: 'waha', file: path.join(__dirname, '..', 'openapi.yaml'), headers: { 'X-Api-Key': '${WAHA_KEY}' } },
+          { name: 'billing', file: 'billing.yaml', baseUrl: 'http://localhost:9000', prefix: 'bill' }
+        ]
+      });
+      const config = loadConfig({ OPENAPI_MCP_CONFIG: configPath, WAHA_KEY: 'abc' });
+      expect(config.specs.map(spec => [spec.name, spec.prefix])).toEqual([['waha', 'waha'], ['billing', 'bill']]);
+      expect(config.specs[0].headers).toEqual({ 'X-Api-Key': 'abc' });
+      expect(config.specs[1].file).toBe(path.join(tmpDir, 'billing.yaml'));
+      expect(config.specs[1].baseUrl).toBe('http://localhost:9000');
+    });
+
+    it('should resolve the upload directory from the environment or the config file', () => {
+      const fromEnv = loadConfig({ OPENAPI_FILE: path.join(tmpDir, 'billing.yaml'), UPLOAD_DIR: 'uploads' });
+      expect(fromEnv.uploadDir).toBe(path.resolve('uploads'));
+
+      const configPath = writeConfig({ uploadDir: './files', specs: [{ name: 'billing', file: 'billing.yaml' }] });
+      expect(loadConfig({ OPENAPI_MCP_CONFIG: configPath, UPLOAD_DIR: 'uploads' }).uploadDir)
+        .toBe(path.join(tmpDir, 'files'));
+    });
+
+    it('should expand ~ in directory settings and resolve them to absolute paths', () => {
+      const fromEnv = loadConfig({
+        OPENAPI_FILE: path.join(tmpDir, 'billing.yaml'),
+        SPEC_CACHE_DIR: '~/.cache/specs',
+        UPLOAD_DIR: '~/uploads',
+        RESPONSE_OUTPUT_DIR: 'responses'
+      });
+      expect(fromEnv.specCacheDir).toBe(path.join(os.homedir(), '.cache', 'specs'));
+      expect(fromEnv.uploadDir).toBe(path.join(os.homedir(), 'uploads'));
+      expect(fromEnv.responseOutputDir).toBe(path.resolve('responses'));
+
+      const configPath = writeConfig({ specCacheDir: 'cache', specs: [{ name: 'billing', file: 'billing.yaml' }] });
+      expect(loadConfig({ OPENAPI_MCP_CONFIG: configPath }).specCacheDir).toBe(path.join(tmpDir, 'cache'));
+    });
+
+    it('should not send the environment API key to config-file specs', () => {
+      const configPath = writeConfig({ specs: [{ name: 'billing', file: 'billing.yaml' }] });
+      const config = loadConfig({ OPENAPI_MCP_CONFIG: configPath, HTTP_HEADERS_X_API_KEY: 'secret' });
+      expect(config.specs[0].headers).toEqual({});
+    });
+
+    it('should reject invalid config files', () => {
+      expect(() => loadConfig({ OPENAPI_MCP_CONFIG: writeConfig({ specs: [] }) }))
+        .toThrow('non-empty "specs" array');
+      expect(() => loadConfig({ OPENAPI_MCP_CONFIG: writeConfig({ specs: [{ name: 'a' }] }) }))
+        .toThrow('missing "file"');
+      expect(() => loadConfig({ OPENAPI_MCP_CONFIG: writeConfig({ specs: [{ name: 'a b', file: 'billing.yaml' }] }) }))
+        .toThrow('Invalid spec name');
+      expect(() => loadConfig({
+        OPENAPI_MCP_CONFIG: writeConfig({ specs: [{ name: 'a', file: 'billing.yaml' }, { name: 'a', file: 'billing.yaml' }] })
+      })).toThrow('Duplicate spec name in config: a');
+      expect(() => loadConfig({ OPENAPI_MCP_CONFIG: path.join(tmpDir, 'missing.json') }))
+        .toThrow('Failed to read config file');
+    });
+
+    it('should read global and per-spec tool filters', () => {
+      const configPath = writeConfig({
+        filter: { exclude: { methods: ['delete'] } },
+        specs: [
+          { name: 'billing', file: 'billing.yaml', filter: { include: { tags: ['Invoices'] } } },
+          { name: 'other', file: 'billing.yaml' }
+        ]
+      });
+      const config = loadConfig({ OPENAPI_MCP_CONFIG: configPath, EXCLUDE_TAGS: 'ignored' });
+      expect(config.filter).toEqual({ include: {}, exclude: { methods: ['delete'] } });
+      expect(config.specs[0].filter).toEqual({ include: { tags: ['Invoices'] }, exclude: {} });
+      expect(config.specs[1].filter).toBeUndefined();
+    });
+
+    it('should not fall back to openapi.yaml for missing config-file specs', () => {
+      const configPath = writeConfig({ specs: [{ name: 'a', file: 'missing.yaml' }] });
+      expect(() => loadConfig({ OPENAPI_MCP_CONFIG: configPath })).toThrow('OpenAPI file not found');
+      expect(resolveSpecPath('missing.yaml', tmpDir, true)).toMatch(/openapi\.yaml$/);
+    });
+  });
+
+  describe('registry', () => {
+    it('should namespace tool names with the spec prefix', async () => {
+      const spec = await loadSpec({ name: 'billing', file: path.join(tmpDir, 'billing.yaml'), prefix: 'billing' });
+      expect(spec.baseUrl).toBe('https://billing.example.com');
+      expect(toolName(spec, spec.operations[0])).toBe('billing__createInvoice');
+      expect(toolName({ prefix: '' }, spec.operations[0])).toBe('createInvoice');
+    });
+
+    it('should apply the spec filter, falling back to the global one', async () => {
+      const entry = { name: 'billing', file: path.join(tmpDir, 'billing.yaml'), prefix: '' };
+      const hidden = { include: {}, exclude: { operations: ['create*'] } };
+
+      expect((await loadSpec(entry, { filter: hidden })).operations).toEqual([]);
+      const spec = await loadSpec({ ...entry, filter: { include: { methods: ['post'] }, exclude: {} } }, { filter: hidden });
+      expect(spec.operations.map(operation => operation.operationId)).toEqual(['createInvoice']);
+    });
+
+    it('should hide writing operations in read-only mode and mark dangerous ones', async () => {
+      const entry = { name: 'billing', file: path.join(tmpDir, 'billing.yaml'), prefix: '' };
+      expect((await loadSpec(entry, loadConfig({ READ_ONLY: 'true' }))).operations).toEqual([]);
+
+      const config = loadConfig({ DANGEROUS_METHODS: 'post' });
+      expect(buildToolTable([await loadSpec(entry, config)]).get('createInvoice').dangerous).toBe(true);
+      const spec = await loadSpec({ ...entry, operationSettings: { createInvoice: { dangerous: false } } }, config);
+      expect(buildToolTable([spec]).get('createInvoice').dangerous).toBe(false);
+    });
+
+    it('should select the base URL from BASE_URL, SERVER and server variables', async () => {
+      fs.writeFileSync(path.join(tmpDir, 'servers.yaml'), `openapi: 3.1.0
+info:
+  title: Servers
+  version: 1.0.0
+servers:
+  - url: https://api.example.com
+    description: Production
+  - url: http://localhost:{port}
+    description: Local
+    variables:
+      port:
+        default: '3000'
+paths:
+  /status:
+    get:
+      operationId: getStatus
+  /files:
+    servers:
+      - url: https://files.example.com
+    get:
+      operationId: getFiles
+`);
+      const load = env => loadSpec(loadConfig({ OPENAPI_FILE: path.join(tmpDir, 'servers.yaml'), ...env }).specs[0]);
+
+      expect((await load({})).baseUrl).toBe('https://api.example.com');
+      expect((await load({ SERVER: 'local', SERVER_VARIABLE_PORT: '3001' })).baseUrl).toBe('http://localhost:3001');
+      const overridden = await load({ BASE_URL: 'http://waha.dev:3000' });
+      expect(overridden.baseUrl).toBe('http://waha.dev:3000');
+      expect(overridden.operations.map(operation => operation.serverUrl)).toEqual([undefined, 'https://files.example.com']);
+    });
+
+    it('should apply per-operation header overrides', async () => {
+      const spec = await loadSpec({
+        name: 'billing',
+        file: path.join(tmpDir, 'billing.yaml'),
+        prefix: '',
+        headers: { 'X-Tenant': 'billing', 'Content-Type': 'application/json' },
+        operationHeaders: { 'POST /invoices': { 'X-Tenant': 'invoices' }, createInvoice: { 'Content-Type': null } }
+      });
+      expect(operationHeaders(spec, spec.operations[0])).toEqual({ 'X-Tenant': 'invoices', 'Content-Type': null });
+      expect(buildToolTable([spec]).get('createInvoice').headers).toEqual({ 'X-Tenant': 'invoices', 'Content-Type': null });
+    });
+
+    it('should build per-operation retry policies, response shaping and rate limits', async () => {
+      const config = loadConfig({ OPENAPI_MCP_CONFIG: writeConfig({
+        retry: { retries: 4 },
+        operationSettings: { createInvoice: { retry: true, response: { maxSize: 2000 }, rateLimit: '2/minute' } },
+        specs: [{ name: 'billing', file: 'billing.yaml', retry: { baseDelay: 100 } }]
+      }), REQUEST_TIMEOUT: '5000', RESPONSE_COMPACT: 'true' });
+      const spec = await loadSpec(config.specs[0], config);
+      expect(spec.retry).toMatchObject({ timeout: 5000, retries: 4, baseDelay: 100, retryNonIdempotent: false });
+      expect(buildToolTable([spec]).get('billing__createInvoice').retry)
+        .toMatchObject({ timeout: 5000, retries: 4, baseDelay: 100, retryNonIdempotent: true });
+      expect(spec.response).toEqual({ maxSize: 100000, compact: true, validation: 'off' });
+      expect(buildToolTable([spec]).get('billing__createInvoice').response).toEqual({ maxSize: 2000, compact: true, validation: 'off' });
+      expect(buildToolTable([spec]).get('billing__createInvoice').rateLimit)
+        .toEqual({ rate: '2/minute', limit: 2, interval: 60000, burst: 2 });
+    });
+
+    it('should detect tool name collisions at startup', async () => {
+      const first = await loadSpec({ name: 'one', file: path.join(tmpDir, 'billing.yaml'), prefix: '' });
+      const second = await loadSpec({ name: 'two', file: path.join(tmpDir, 'billing.yaml'), prefix: '' });
+      expect(() => buildToolTable([first, second]))
+        .toThrow('createInvoice: one POST /invoices and two POST /invoices');
+
+      const tools = buildToolTable([first, { ...second, prefix: 'two' }]);
+      expect([...tools.keys()]).toEqual(['createInvoice', 'two__createInvoice']);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import { describeOperation, summarizeSchema } from '../lib/description.js';
+import { extractOperations } from '../lib/operations.js';
+
+const spec = {
+  openapi: '3.1.0',
+  info: { title: 'WAHA', version: '1.0.0' },
+  paths: {
+    '/api/sessions/{session}': {
+      get: {
+        operationId: 'SessionsController_get',
+        summary: 'Get session information',
+        description: 'Returns the session with its current status and configuration.',
+        tags: ['Sessions'],
+        parameters: [{ name: 'session', in: 'path', required: true, schema: { type: 'string' } }],
+        responses: {
+          200: {
+            description: 'The session',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/SessionDTO' } } }
+          }
+        }
+      }
+    },
+    '/api/sessions/stop': {
+      post: {
+        operationId: 'SessionsController_stop',
+        summary: 'Stop session',
+        deprecated: true,
+        responses: { 201: { description: 'Stopped' } }
+      }
+    }
+  },
+  components: {
+    schemas: {
+      SessionDTO: {
+        type: 'object',
+        required: ['name', 'status'],
+        properties: {
+          name: { type: 'string' },
+          status: { type: 'string', enum: ['STOPPED', 'STARTING', 'SCAN_QR_CODE', 'WORKING', 'FAILED', 'UNKNOWN'] },
+          config: { type: 'object', properties: { proxy: { type: 'string' } } },
+          me: { type: 'object', properties: { id: { type: 'string' } } }
+        }
+      }
+    }
+  }
+};
+
+const [getSession, stopSession] = extractOperations(spec);
+
+describe('Tool descriptions', () => {
+  describe('summarizeSchema', () => {
+    it('should render objects with optional markers and nested shapes', () => {
+      expect(summarizeSchema(getSession.response.schema)).toBe(
+        '{name: string, status: "STOPPED"|"STARTING"|"SCAN_QR_CODE"|"WORKING"|"FAILED"|…, config?: {proxy?: string}, me?: {id?: string}}'
+      );
+    });
+
+    it('should render arrays, unions and formats', () => {
+      expect(summarizeSchema({ type: 'array', items: { type: 'string', format: 'date-time' } })).toBe('string(date-time)[]');
+      expect(summarizeSchema({ type: 'array', items: { enum: ['a', 'b'] } })).toBe('("a"|"b")[]');
+      expect(summarizeSchema({ oneOf: [{ type: 'string' }, { type: 'integer' }] })).toBe('string | integer');
+    });
+
+    it('should stop at the requested depth', () => {
+      expect(summarizeSchema(getSession.response.schema, 1)).toContain('config?: object');
+      expect(summarizeSchema(getSession.response.schema, 0)).toBe('object');
+    });
+  });
+
+  describe('describeOperation', () => {
+    it('should combine summary, description, endpoint, tag and response', () => {
+      expect(describeOperation(getSession)).toBe([
+        'Get session information',
+        'Returns the session with its current status and configuration.',
+        'GET /api/sessions/{session} · Tag: Sessions',
+        `Returns (200, application/json): ${summarizeSchema(getSession.response.schema)}`
+      ].join('\n\n'));
+    });
+
+    it('should surface deprecation', () => {
+      expect(describeOperation(stopSession)).toBe(
+        'DEPRECATED: this operation may be removed; prefer a non-deprecated alternative.\n\n' +
+        'Stop session\n\nPOST /api/sessions/stop\n\nReturns (201): Stopped'
+      );
+    });
+
+    it('should shorten the response and description to fit the budget', () => {
+      const description = describeOperation(getSession, { maxLength: 215 });
+      expect(description.length).toBeLessThanOrEqual(215);
+      expect(description).toContain('GET /api/sessions/{session}');
+      expect(description).toContain('Returns (200, application/json): {name: string, status:');
+      expect(description).toContain('config?: object');
+      expect(description).not.toContain('Returns the session');
+
+      const longer = describeOperation({ ...getSession, description: 'Returns the session. '.repeat(10) }, { maxLength: 300 });
+      expect(longer.length).toBeLessThanOrEqual(300);
+      expect(longer).toMatch(/Returns the session\.…\n\nGET/);
+
+      expect(describeOperation(getSession, { maxLength: 160 })).toContain('Returns (200, application/json): object');
+    });
+
+    it('should keep the endpoint when the budget is tiny', () => {
+      const description = describeOperation(getSession, { maxLength: 80 });
+      expect(description.length).toBeLessThanOrEqual(80);
+      expect(description).toBe('Get session information\n\nGET /api/sessions/{session} · Tag: Sessions');
+    });
+
+    it('should not repeat a generated summary', () => {
+      const [operation] = extractOperations({
+        openapi: '3.1.0',
+        info: { title: 'x', version: '1' },
+        paths: { '/ping': { get: {} } }
+      });
+      expect(describeOperation(operation)).toBe('GET /ping');
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import { filterFromEnv, globToRegExp, isOperationAllowed, normalizeFilter } from '../lib/filter.js';
+import { extractOperations } from '../lib/operations.js';
+
+const spec = {
+  openapi: '3.1.0',
+  info: { title: 'WAHA', version: '1.0.0' },
+  paths: {
+    '/api/sessions': {
+      get: { operationId: 'SessionsController_list', tags: ['Sessions'] },
+      post: { operationId: 'SessionsController_create', tags: ['Sessions'] }
+    },
+    '/api/sessions/{session}': {
+      delete: { operationId: 'SessionsController_delete', tags: ['Sessions'] }
+    },
+    '/api/sendText': {
+      post: { operationId: 'ChattingController_sendText', tags: ['Chatting'] }
+    },
+    '/api/{session}/groups': {
+      get: { operationId: 'GroupsController_getGroups', tags: ['Groups'] }
+    }
+  }
+};
+
+function operationIds(filter) {
+  return extractOperations(spec, { filter: normalizeFilter(filter) }).map(operation => operation.operationId);
+}
+
+describe('Tool filters', () => {
+  describe('globToRegExp', () => {
+    it('should keep * within a path segment and let ** cross segments', () => {
+      expect(globToRegExp('/api/*').test('/api/sessions')).toBe(true);
+      expect(globToRegExp('/api/*').test('/api/sessions/{session}')).toBe(false);
+      expect(globToRegExp('/api/**').test('/api/sessions/{session}')).toBe(true);
+      expect(globToRegExp('Sessions?ontroller_*').test('SessionsController_list')).toBe(true);
+    });
+
+    it('should match special characters literally', () => {
+      expect(globToRegExp('/api/{session}/groups').test('/api/{session}/groups')).toBe(true);
+      expect(globToRegExp('a.b').test('axb')).toBe(false);
+    });
+  });
+
+  describe('extractOperations', () => {
+    it('should expose every operation without a filter', () => {
+      expect(operationIds(undefined)).toHaveLength(5);
+    });
+
+    it('should include operations by tag, case-insensitively', () => {
+      expect(operationIds({ include: { tags: ['chatting', 'Groups'] } }))
+        .toEqual(['ChattingController_sendText', 'GroupsController_getGroups']);
+    });
+
+    it('should ignore emoji decorations in tags', () => {
+      const decorated = { ...spec, paths: { '/api/sessions': { get: { operationId: 'list', tags: ['\u{1F5A5}\uFE0F Sessions'] } } } };
+      const filter = normalizeFilter({ include: { tags: ['sessions'] } });
+      expect(extractOperations(decorated, { filter }).map(operation => operation.operationId)).toEqual(['list']);
+    });
+
+    it('should require every include field to match', () => {
+      expect(operationIds({ include: { tags: ['Sessions'], methods: ['GET'] } }))
+        .toEqual(['SessionsController_list']);
+    });
+
+    it('should exclude operations matching any exclude rule', () => {
+      expect(operationIds({ exclude: { methods: ['delete'], operations: ['*_create'] } }))
+        .toEqual(['SessionsController_list', 'ChattingController_sendText', 'GroupsController_getGroups']);
+    });
+
+    it('should apply excludes after includes', () => {
+      expect(operationIds({ include: { paths: ['/api/sessions**'] }, exclude: { methods: ['delete'] } }))
+        .toEqual(['SessionsController_list', 'SessionsController_create']);
+    });
+
+    it('should record the operation tags', () => {
+      expect(extractOperations(spec)[0].tags).toEqual(['Sessions']);
+    });
+  });
+
+  describe('isOperationAllowed', () => {
+    it('should allow everything without a filter', () => {
+      expect(isOperationAllowed({ operationId: 'x', path: '/x', method: 'get', tags: [] }, undefined)).toBe(true);
+    });
+
+    it('should hide operations without tags from a tag include', () => {
+      const filter = normalizeFilter({ include: { tags: ['Sessions'] } });
+      expect(isOperationAllowed({ operationId: 'x', path: '/x', method: 'get', tags: [] }, filter)).toBe(false);
+    });
+  });
+
+  describe('normalizeFilter', () => {
+    it('should return undefined for filters without rules', () => {
+      expect(normalizeFilter(undefined)).toBeUndefined();
+      expect(normalizeFilter({ include: { tags: [] } })).toBeUndefined();
+    });
+
+    it('should accept comma-separated strings', () => {
+      expect(normalizeFilter({ exclude: { methods: 'delete, put' } }))
+        .toEqual({ include: {}, exclude: { methods: ['delete', 'put'] } });
+    });
+
+    it('should reject unknown fields', () => {
+      expect(() => normalizeFilter({ include: { tag: ['Sessions'] } }))
+        .toThrow('Unknown tool filter field "include.tag"');
+    });
+  });
+
+  describe('filterFromEnv', () => {
+    it('should read the INCLUDE_* and EXCLUDE_* variables', () => {
+      expect(filterFromEnv({ INCLUDE_TAGS: 'Chatting,Groups', EXCLUDE_PATHS: '/api/sessions/**' })).toEqual({
+        include: { tags: ['Chatting', 'Groups'] },
+        exclude: { paths: ['/api/sessions/**'] }
+      });
+      expect(filterFromEnv({})).toBeUndefined();
+    });
+  });
+});
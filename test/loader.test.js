@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  parseOpenApiContent,
+  parseOpenApiFile,
+  validateOpenApiSpec,
+  formatDiagnostics
+} from '../lib/loader.js';
+import { listResources, readResource } from '../lib/resources.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DUPLICATE_SPEC = `openapi: 3.1.0
+info:
+  title: First
+  version: 1.0.0
+servers:
+  - url: https://first.example.com
+paths:
+  /health:
+    get:
+      operationId: health
+      responses:
+        '200':
+          description: ok
+info:
+  title: Second
+  version: 2.0.0
+`;
+
+describe('Spec loader', () => {
+  let tmpDir;
+  let specPath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openapi-mcp-loader-'));
+    specPath = path.join(tmpDir, 'openapi.yaml');
+    fs.writeFileSync(specPath, DUPLICATE_SPEC);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('duplicate key policies', () => {
+    it('should keep the first occurrence by default', () => {
+      const { spec, diagnostics } = parseOpenApiContent(DUPLICATE_SPEC);
+      expect(spec.info.title).toBe('First');
+      expect(spec.paths['/health']).toBeDefined();
+      expect(diagnostics).toEqual([{
+        type: 'duplicate-key',
+        line: 14,
+        column: 1,
+        key: 'info',
+        action: 'ignored this occurrence, kept the first'
+      }]);
+    });
+
+    it('should keep the last occurrence with last-wins', () => {
+      const { spec, diagnostics } = parseOpenApiContent(DUPLICATE_SPEC, { duplicateKeyPolicy: 'last-wins' });
+      expect(spec.info.title).toBe('Second');
+      expect(diagnostics[0].line).toBe(14);
+      expect(diagnostics[0].action).toBe('this occurrence overrides the earlier one');
+    });
+
+    it('should throw with line and key under the error policy', () => {
+      expect(() => parseOpenApiContent(DUPLICATE_SPEC, { duplicateKeyPolicy: 'error' }))
+        .toThrow('Duplicate key "info" at line 14, column 1');
+    });
+
+    it('should reject unknown policies', () => {
+      expect(() => parseOpenApiContent(DUPLICATE_SPEC, { duplicateKeyPolicy: 'merge' }))
+        .toThrow('Unknown duplicate key policy: merge');
+    });
+
+    it('should repair nested duplicates and keep later line numbers accurate', () => {
+      const content = [
+        'openapi: 3.1.0',
+        'info:',
+        '  title: Nested',
+        '  version: 1.0.0',
+        '  title: Again',
+        'paths:',
+        '  /a:',
+        '    get:',
+        '      summary: one',
+        '      summary: two',
+        ''
+      ].join('\n');
+      const { spec, diagnostics } = parseOpenApiContent(content);
+      expect(spec.info.title).toBe('Nested');
+      expect(spec.paths['/a'].get.summary).toBe('one');
+      expect(diagnostics.map(diagnostic => [diagnostic.line, diagnostic.key])).toEqual([[5, 'title'], [10, 'summary']]);
+    });
+
+    it('should fall back to the parser for inline mappings', () => {
+      const content = 'openapi: 3.1.0\ninfo: {title: A, version: "1", title: B}\npaths:\n  /a: {}\n';
+      const { spec, diagnostics } = parseOpenApiContent(content);
+      expect(spec.info.title).toBe('B');
+      expect(diagnostics[0].action).toContain('inline mapping');
+    });
+  });
+
+  it('should never modify the spec file on disk', () => {
+    const { spec } = parseOpenApiFile(specPath);
+    expect(spec.info.title).toBe('First');
+    expect(fs.readFileSync(specPath, 'utf8')).toBe(DUPLICATE_SPEC);
+    expect(fs.readdirSync(tmpDir)).toEqual(['openapi.yaml']);
+  });
+
+  it('should report missing files and syntax errors', () => {
+    expect(() => parseOpenApiFile(path.join(tmpDir, 'missing.yaml'))).toThrow('does not exist');
+    fs.writeFileSync(specPath, 'invalid: yaml: content: [unclosed');
+    expect(() => parseOpenApiFile(specPath)).toThrow('Failed to parse YAML content');
+  });
+
+  it('should record structural problems as diagnostics', () => {
+    const { diagnostics } = parseOpenApiContent('openapi: "2.0"\ninfo:\n  title: Old\npaths:\n  /a: {}\n');
+    expect(diagnostics.map(diagnostic => diagnostic.message)).toEqual([
+      'OpenAPI info is missing required fields: version',
+      'OpenAPI version format is incorrect: 2.0'
+    ]);
+  });
+
+  it('should validate the bundled spec without problems', () => {
+    const { diagnostics } = parseOpenApiFile(path.join(__dirname, '..', 'openapi.yaml'));
+    expect(diagnostics).toEqual([]);
+    expect(validateOpenApiSpec({ openapi: '3.1.0' })).toEqual(['OpenAPI spec is missing required fields: info, paths']);
+  });
+
+  it('should format diagnostics as report lines', () => {
+    const { diagnostics } = parseOpenApiContent(DUPLICATE_SPEC);
+    expect(formatDiagnostics(diagnostics, 'openapi.yaml')).toEqual([
+      'openapi.yaml:14:1: duplicate key "info" - ignored this occurrence, kept the first'
+    ]);
+  });
+
+  it('should expose diagnostics as the spec://diagnostics resource', () => {
+    const { diagnostics } = parseOpenApiFile(specPath);
+    expect(listResources().map(resource => resource.uri)).toContain('spec://diagnostics');
+    const result = readResource('spec://diagnostics', { specs: [{ name: 'default', source: specPath, diagnostics }] });
+    expect(JSON.parse(result.contents[0].text)).toEqual({
+      specs: [{ name: 'default', source: specPath, diagnostics }]
+    });
+    expect(() => readResource('spec://other', {})).toThrow('Unknown resource');
+  });
+});
@@ -0,0 +1,187 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import http from 'http';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ToolListChangedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { createServer } from '../lib/server.js';
+import { buildToolTable } from '../lib/registry.js';
+import { extractOperations } from '../lib/operations.js';
+
+function specWith(operationId, path) {
+  return {
+    openapi: '3.1.0',
+    info: { title: operationId, version: '1.0.0' },
+    paths: { [path]: { get: { operationId, summary: `Call ${operationId}` } } }
+  };
+}
+
+// Connect an MCP client to a server built from the given state
+async function connect(state, options) {
+  const server = createServer(state, options);
+  const client = new Client({ name: 'test', version: '1.0.0' }, { capabilities: {} });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await Promise.all([client.connect(clientTransport), server.connect(serverTransport)]);
+  return { client, server };
+}
+
+describe('MCP server', () => {
+  let upstream;
+  let baseUrl;
+  let client;
+  let server;
+  let state;
+
+  beforeAll(async () => {
+    upstream = http.createServer((req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ url: req.url, key: req.headers['x-api-key'] || null }));
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${upstream.address().port}`;
+
+    const specs = [
+      {
+        name: 'waha', prefix: 'waha', baseUrl: `${baseUrl}/waha`, headers: { 'X-Api-Key': 'waha-key' },
+        source: 'waha.yaml', diagnostics: [], operations: extractOperations(specWith('sendText', '/sendText'))
+      },
+      {
+        name: 'billing', prefix: 'billing', baseUrl: `${baseUrl}/billing`, headers: {},
+        source: 'billing.yaml', diagnostics: [], operations: extractOperations(specWith('createInvoice', '/invoices'))
+      }
+    ];
+    state = { specs, tools: buildToolTable(specs) };
+    ({ client, server } = await connect(state));
+  });
+
+  afterAll(async () => {
+    await client.close();
+    await new Promise(resolve => upstream.close(resolve));
+  });
+
+  it('should list namespaced tools from every spec', async () => {
+    const { tools } = await client.listTools();
+    expect(tools.map(tool => tool.name)).toEqual(['waha__sendText', 'billing__createInvoice']);
+    expect(tools[0].description).toBe('Call sendText\n\nGET /sendText');
+  });
+
+  it('should route calls to the right spec with its own base URL and credentials', async () => {
+    const waha = await client.callTool({ name: 'waha__sendText', arguments: {} });
+    expect(JSON.parse(waha.content[0].text).body).toEqual({ url: '/waha/sendText', key: 'waha-key' });
+
+    const billing = await client.callTool({ name: 'billing__createInvoice', arguments: {} });
+    expect(JSON.parse(billing.content[0].text).body).toEqual({ url: '/billing/invoices', key: null });
+  });
+
+  it('should reject unknown tools', async () => {
+    const result = await client.callTool({ name: 'sendText', arguments: {} });
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toBe('Error: Unknown operation: sendText');
+  });
+
+  it('should name the called tool in error results', async () => {
+    const result = await client.callTool({ name: 'waha__sendText', arguments: { _select: '' } });
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toMatch(/^Error: Invalid arguments for waha__sendText\n/);
+    expect(result.content[0].text).toContain('"tool": "waha__sendText"');
+  });
+
+  it('should refuse operations excluded by the tool filter', async () => {
+    const previous = state.tools;
+    const spec = { ...state.specs[0], filter: { include: {}, exclude: { methods: ['get'] } } };
+    state.tools = new Map([['waha__sendText', { ...previous.get('waha__sendText'), spec }]]);
+
+    const result = await client.callTool({ name: 'waha__sendText', arguments: {} });
+    state.tools = previous;
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('excluded by the tool filter');
+  });
+
+  it('should refuse operations blocked by read-only mode', async () => {
+    const previous = state.tools;
+    const spec = { ...state.specs[1], readOnly: true };
+    const [operation] = extractOperations({
+      openapi: '3.1.0',
+      info: { title: 'billing', version: '1.0.0' },
+      paths: { '/invoices': { post: { operationId: 'createInvoice' } } }
+    });
+    state.tools = new Map([['billing__createInvoice', { ...previous.get('billing__createInvoice'), operation, spec }]]);
+
+    const result = await client.callTool({ name: 'billing__createInvoice', arguments: {} });
+    state.tools = previous;
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toBe(
+      'Error: Operation billing__createInvoice (POST /invoices) is not available: the server is in read-only mode, ' +
+      'which only allows GET and HEAD operations'
+    );
+  });
+
+  it('should only execute dangerous operations confirmed with the previewed token', async () => {
+    const previous = state.tools;
+    state.tools = new Map([['billing__createInvoice', { ...previous.get('billing__createInvoice'), dangerous: true }]]);
+    const call = args => client.callTool({ name: 'billing__createInvoice', arguments: args });
+
+    const { tools } = await client.listTools();
+    expect(tools[0].description).toMatch(/^DANGEROUS: /);
+    expect(tools[0].inputSchema.properties._confirm.type).toBe('string');
+
+    const preview = await call({});
+    expect(preview.isError).toBeFalsy();
+    expect(preview.content[0].text).toContain('is marked as dangerous and was NOT executed');
+    expect(JSON.parse(preview.content[1].text)).toMatchObject({ dryRun: true, method: 'GET' });
+    const token = preview.content[0].text.match(/"_confirm": "(\w+)"/)[1];
+
+    const wrong = await call({ _confirm: 'guess' });
+    expect(wrong.isError).toBe(true);
+    expect(wrong.content[0].text).toContain('billing__createInvoice was not executed: the confirmation token is unknown');
+
+    const confirmed = await call({ _confirm: token });
+    expect(JSON.parse(confirmed.content[0].text).body).toEqual({ url: '/billing/invoices', key: null });
+
+    const replayed = await call({ _confirm: token });
+    state.tools = previous;
+    expect(replayed.isError).toBe(true);
+  });
+
+  it('should record every tool call in the audit log', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openapi-mcp-audit-'));
+    const file = path.join(tmpDir, 'audit.jsonl');
+    const audited = await connect(state, { audit: { file } });
+
+    await audited.client.callTool({ name: 'waha__sendText', arguments: { password: 'hunter2' } });
+    await audited.client.callTool({ name: 'sendText', arguments: {} });
+    await audited.client.close();
+
+    const entries = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    expect(entries[0]).toMatchObject({
+      tool: 'waha__sendText', method: 'GET', path: '/sendText', arguments: { password: '[REDACTED]' }, status: 200, error: null
+    });
+    expect(entries[1]).toMatchObject({ tool: 'sendText', method: null, status: null, error: 'Unknown operation: sendText' });
+  });
+
+  it('should serve diagnostics for every spec', async () => {
+    const result = await client.readResource({ uri: 'spec://diagnostics' });
+    expect(JSON.parse(result.contents[0].text).specs.map(spec => spec.name)).toEqual(['waha', 'billing']);
+  });
+
+  it('should notify clients and serve the swapped tool table after a reload', async () => {
+    const notified = new Promise(resolve => client.setNotificationHandler(ToolListChangedNotificationSchema, resolve));
+
+    const previous = state;
+    const specs = [
+      { ...previous.specs[0], operations: extractOperations(specWith('sendImage', '/sendImage')) },
+      previous.specs[1]
+    ];
+    Object.assign(state, { specs, tools: buildToolTable(specs) });
+    await server.sendToolListChanged();
+
+    await notified;
+    const { tools } = await client.listTools();
+    expect(tools.map(tool => tool.name)).toEqual(['waha__sendImage', 'billing__createInvoice']);
+  });
+});
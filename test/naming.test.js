@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { buildToolName, fitToolName, normalizeNaming, sanitizeToolName, toSnakeCase } from '../lib/naming.js';
+import { buildToolTable } from '../lib/registry.js';
+
+const operation = {
+  operationId: 'ChattingController_sendText',
+  summary: 'Send a text message',
+  tags: ['Chatting'],
+  method: 'post',
+  path: '/api/sendText'
+};
+
+describe('Tool naming', () => {
+  it('should convert text and camelCase to snake_case', () => {
+    expect(toSnakeCase('Send a text message')).toBe('send_a_text_message');
+    expect(toSnakeCase('getQRCode')).toBe('get_qrcode');
+    expect(toSnakeCase('Chats & Groups')).toBe('chats_groups');
+  });
+
+  it('should sanitize characters clients reject', () => {
+    expect(sanitizeToolName('get_/api/{session}/chats')).toBe('get_api_session_chats');
+    expect(sanitizeToolName('users.list')).toBe('users_list');
+    expect(sanitizeToolName('waha__sendText')).toBe('waha__sendText');
+  });
+
+  it('should fit long names with a stable hash', () => {
+    const long = `get_${'very_long_segment_'.repeat(6)}end`;
+    const fitted = fitToolName(long, 64);
+    expect(fitted).toHaveLength(64);
+    expect(fitted).toMatch(/_[0-9a-f]{8}$/);
+    expect(fitToolName(long, 64)).toBe(fitted);
+    expect(fitToolName(`${long}x`, 64)).not.toBe(fitted);
+    expect(fitToolName('short', 64)).toBe('short');
+  });
+
+  it('should name tools by operationId by default', () => {
+    expect(buildToolName(operation)).toBe('ChattingController_sendText');
+    expect(buildToolName(operation, { prefix: 'waha' })).toBe('waha__ChattingController_sendText');
+  });
+
+  it('should name tools by snake_case summary', () => {
+    expect(buildToolName(operation, { strategy: 'summary' })).toBe('send_a_text_message');
+    expect(buildToolName({ ...operation, summary: '' }, { strategy: 'summary' })).toBe('ChattingController_sendText');
+  });
+
+  it('should prefix tool names with the first tag', () => {
+    expect(buildToolName(operation, { strategy: 'tag' })).toBe('chatting_ChattingController_sendText');
+    expect(buildToolName({ ...operation, tags: [] }, { strategy: 'tag' })).toBe('ChattingController_sendText');
+  });
+
+  it('should keep prefixed names within the length budget', () => {
+    const name = buildToolName({ ...operation, operationId: 'x'.repeat(80) }, { prefix: 'waha', maxLength: 32 });
+    expect(name).toHaveLength(32);
+    expect(name.startsWith('waha__xxx')).toBe(true);
+  });
+
+  it('should validate naming settings', () => {
+    expect(normalizeNaming(undefined, undefined)).toEqual({ strategy: 'operationId', maxLength: 64 });
+    expect(normalizeNaming('summary', '48')).toEqual({ strategy: 'summary', maxLength: 48 });
+    expect(() => normalizeNaming('camel')).toThrow('Unknown tool naming strategy: camel');
+    expect(() => normalizeNaming('summary', '8')).toThrow('Invalid tool name length budget');
+  });
+
+  it('should fail loudly when names collide after sanitizing', () => {
+    const spec = {
+      name: 'api',
+      prefix: '',
+      operations: [
+        { ...operation, operationId: 'users.list', method: 'get', path: '/users' },
+        { ...operation, operationId: 'users_list', method: 'get', path: '/v2/users' }
+      ]
+    };
+    expect(() => buildToolTable([spec])).toThrow('users_list: api GET /users and api GET /v2/users');
+  });
+
+  it('should map every tool name back to its operation', () => {
+    const spec = { name: 'api', prefix: 'api', naming: { strategy: 'summary' }, operations: [operation] };
+    const tools = buildToolTable([spec]);
+    expect(tools.get('api__send_a_text_message').operation).toBe(operation);
+  });
+});
@@ -0,0 +1,184 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { fileURLToPath } from 'url';
+import { extractOperations } from '../lib/operations.js';
+import { fetchAllPages, operationPagination } from '../lib/pagination.js';
+import { createRateLimiter, rateLimitSettings } from '../lib/ratelimit.js';
+import { callTool, toolInputSchema } from '../lib/tools.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Operation with the given query parameters
+function listOperation(names, method = 'get') {
+  const [operation] = extractOperations({
+    openapi: '3.1.0',
+    info: { title: 'List', version: '1.0.0' },
+    paths: {
+      '/items': {
+        [method]: {
+          operationId: 'listItems',
+          parameters: names.map(name => ({ name, in: 'query', schema: { type: 'integer' } }))
+        }
+      }
+    }
+  });
+  return operation;
+}
+
+// Fake page source answering from a list of items, recording the arguments of every request
+function pageSource(total, respond) {
+  const items = Array.from({ length: total }, (_, index) => ({ id: index }));
+  const requests = [];
+  const sendPage = async args => {
+    requests.push(args);
+    return { status: 200, headers: {}, body: respond(items, args), attempts: 1 };
+  };
+  return { sendPage, requests };
+}
+
+describe('operationPagination', () => {
+  it('should detect offset/limit pagination on the WAHA listings', () => {
+    const spec = yaml.load(fs.readFileSync(path.join(__dirname, '..', 'openapi.yaml'), 'utf8'));
+    const operations = extractOperations(spec);
+    const getChats = operations.find(operation => operation.operationId === 'ChatsController_getChats');
+    expect(operationPagination(getChats)).toEqual({ style: 'offset', offset: 'offset', limit: 'limit' });
+  });
+
+  it('should detect page and cursor styles', () => {
+    expect(operationPagination(listOperation(['page', 'per_page']))).toEqual({
+      style: 'page', page: 'page', limit: 'per_page', firstPage: 1
+    });
+    expect(operationPagination(listOperation(['pageToken', 'maxResults']))).toEqual({
+      style: 'cursor', cursor: 'pageToken', limit: 'maxResults'
+    });
+    expect(operationPagination(listOperation(['offset']))).toBeUndefined();
+    expect(operationPagination(listOperation(['page'], 'post'))).toBeUndefined();
+  });
+
+  it('should apply per-operation overrides', () => {
+    const operation = listOperation(['from', 'limit']);
+    expect(operationPagination(operation)).toBeUndefined();
+    expect(operationPagination(operation, { style: 'offset', offset: 'from', itemsPath: 'result.list' })).toEqual({
+      style: 'offset', offset: 'from', limit: 'limit', firstPage: undefined, itemsPath: 'result.list', cursorPath: undefined
+    });
+    expect(operationPagination(listOperation(['offset', 'limit']), false)).toBeUndefined();
+    expect(() => operationPagination(operation, { style: 'offset', offset: 'start' }))
+      .toThrow('Invalid pagination for listItems: it has no query parameter "start"');
+    expect(() => operationPagination(operation, { style: 'seek' })).toThrow('Invalid pagination style for listItems: seek');
+  });
+});
+
+describe('fetchAllPages', () => {
+  it('should follow offsets until a short page', async () => {
+    const { sendPage, requests } = pageSource(25, (items, args) => items.slice(args.offset || 0, (args.offset || 0) + args.limit));
+    const result = await fetchAllPages({ style: 'offset', offset: 'offset', limit: 'limit' }, { limit: 10 }, 1000, sendPage);
+    expect(result.body).toHaveLength(25);
+    expect(result.pagination).toEqual({ style: 'offset', pages: 3, items: 25, complete: true, stoppedBy: 'exhausted' });
+    expect(result.attempts).toBe(3);
+    expect(requests.map(args => args.offset)).toEqual([undefined, 10, 20]);
+  });
+
+  it('should keep following pages when the server caps the requested limit', async () => {
+    const { sendPage, requests } = pageSource(250, (items, args) => {
+      const offset = args.offset || 0;
+      return items.slice(offset, offset + Math.min(args.limit, 100));
+    });
+    const result = await fetchAllPages({ style: 'offset', offset: 'offset', limit: 'limit' }, { limit: 1000 }, 1000, sendPage);
+    expect(result.body).toHaveLength(250);
+    expect(result.pagination).toEqual({ style: 'offset', pages: 3, items: 250, complete: true, stoppedBy: 'exhausted' });
+    expect(requests.map(args => args.offset)).toEqual([undefined, 100, 200]);
+  });
+
+  it('should follow pages inside a wrapper object and stop at maxItems', async () => {
+    const { sendPage, requests } = pageSource(100, (items, args) => ({
+      total: items.length,
+      data: items.slice((args.page - 1) * 10, args.page * 10)
+    }));
+    const pagination = { style: 'page', page: 'page', limit: 'size', firstPage: 1 };
+    const result = await fetchAllPages(pagination, { page: 1 }, 25, sendPage);
+    expect(result.body.total).toBe(100);
+    expect(result.body.data.map(item => item.id)).toEqual(Array.from({ length: 25 }, (_, index) => index));
+    expect(result.pagination).toMatchObject({ pages: 3, items: 25, complete: false, stoppedBy: 'maxItems' });
+    expect(requests.map(args => args.page)).toEqual([1, 2, 3]);
+  });
+
+  it('should follow cursors from the response body', async () => {
+    const { sendPage } = pageSource(12, (items, args) => {
+      const start = Number(args.cursor || 0);
+      const next = start + 5 < items.length ? String(start + 5) : null;
+      return { results: items.slice(start, start + 5), meta: { next_cursor: next } };
+    });
+    const result = await fetchAllPages({ style: 'cursor', cursor: 'cursor' }, {}, 1000, sendPage);
+    expect(result.body.results).toHaveLength(12);
+    expect(result.pagination).toMatchObject({ pages: 3, complete: true });
+  });
+
+  it('should stop when the server ignores the pagination parameters', async () => {
+    const { sendPage } = pageSource(10, items => items);
+    const result = await fetchAllPages({ style: 'offset', offset: 'offset', limit: 'limit' }, { limit: 10 }, 1000, sendPage);
+    expect(result.body).toHaveLength(10);
+    expect(result.pagination).toMatchObject({ pages: 2, complete: false, stoppedBy: 'repeated page' });
+  });
+
+  it('should return a first page that is not a list unchanged', async () => {
+    const error = { status: 404, headers: {}, body: { message: 'Session not found' }, attempts: 1 };
+    const result = await fetchAllPages({ style: 'offset', offset: 'offset', limit: 'limit' }, {}, 1000, async () => error);
+    expect(result).toBe(error);
+  });
+});
+
+describe('callTool pagination', () => {
+  let server;
+  let baseUrl;
+  const operation = listOperation(['offset', 'limit']);
+  const pagination = operationPagination(operation);
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const query = new URL(req.url, 'http://localhost').searchParams;
+      const offset = Number(query.get('offset') || 0);
+      const limit = Number(query.get('limit') || 20);
+      const ids = Array.from({ length: 45 }, (_, index) => index).slice(offset, offset + limit);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(ids));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  it('should expose fetchAll and maxItems only on paginated tools', () => {
+    expect(Object.keys(toolInputSchema(operation, { pagination }).properties))
+      .toEqual(['offset', 'limit', '_select', '_dryRun', 'fetchAll', 'maxItems']);
+    expect(toolInputSchema(operation).properties.fetchAll).toBeUndefined();
+  });
+
+  it('should return one page unless asked for more', async () => {
+    const result = await callTool(operation, {}, { baseUrl, pagination });
+    expect(JSON.parse(result.content[0].text).body).toHaveLength(20);
+  });
+
+  it('should merge every page with fetchAll and honour maxItems', async () => {
+    const all = JSON.parse((await callTool(operation, { fetchAll: true }, { baseUrl, pagination })).content[0].text);
+    expect(all.body).toEqual(Array.from({ length: 45 }, (_, index) => index));
+    expect(all.pagination).toEqual({ style: 'offset', pages: 3, items: 45, complete: true, stoppedBy: 'exhausted' });
+
+    const capped = JSON.parse((await callTool(operation, { maxItems: 30 }, { baseUrl, pagination })).content[0].text);
+    expect(capped.body).toHaveLength(30);
+    expect(capped.pagination.stoppedBy).toBe('maxItems');
+  });
+
+  it('should take a rate limit token for every page', async () => {
+    const limiter = createRateLimiter(rateLimitSettings({ global: '2/minute', mode: 'reject' }));
+    const throttle = args => limiter.acquire({ name: 'listItems', operation }, args);
+    const result = JSON.parse((await callTool(operation, { fetchAll: true }, { baseUrl, pagination, throttle })).content[0].text);
+    expect(result.body).toHaveLength(40);
+    expect(result.pagination).toEqual({ style: 'offset', pages: 2, items: 40, complete: false, stoppedBy: 'rate limit' });
+    expect(result.rateLimit).toEqual({ waited: 0, remaining: { global: 0 } });
+  });
+});
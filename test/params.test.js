@@ -0,0 +1,142 @@
+import { describe, it, expect } from 'vitest';
+import { mergeParameters, assignArgumentNames, parameterStyle, serializeParameters } from '../lib/params.js';
+
+function serialize(param, value) {
+  return serializeParameters([param], { [param.name]: value });
+}
+
+describe('Parameter serialization', () => {
+  describe('mergeParameters', () => {
+    it('should let operation parameters override path-level ones', () => {
+      const merged = mergeParameters(
+        [{ name: 'session', in: 'path', description: 'path level' }, { name: 'limit', in: 'query' }],
+        [{ name: 'session', in: 'path', description: 'operation level' }]
+      );
+      expect(merged).toHaveLength(2);
+      expect(merged.find(param => param.name === 'session').description).toBe('operation level');
+    });
+  });
+
+  describe('assignArgumentNames', () => {
+    it('should keep unique names unchanged', () => {
+      const params = assignArgumentNames([{ name: 'limit', in: 'query' }]);
+      expect(params[0].argument).toBe('limit');
+    });
+
+    it('should prefix names used in several locations', () => {
+      const params = assignArgumentNames([
+        { name: 'id', in: 'path' },
+        { name: 'id', in: 'query' },
+        { name: 'id', in: 'header' }
+      ]);
+      expect(params.map(param => param.argument)).toEqual(['path_id', 'query_id', 'header_id']);
+    });
+
+    it('should prefix names that clash with reserved arguments', () => {
+      const params = assignArgumentNames([{ name: 'body', in: 'query' }], ['body']);
+      expect(params[0].argument).toBe('query_body');
+    });
+  });
+
+  describe('parameterStyle', () => {
+    it('should apply location defaults', () => {
+      expect(parameterStyle({ in: 'query' })).toEqual({ style: 'form', explode: true });
+      expect(parameterStyle({ in: 'path' })).toEqual({ style: 'simple', explode: false });
+      expect(parameterStyle({ in: 'header' })).toEqual({ style: 'simple', explode: false });
+      expect(parameterStyle({ in: 'cookie' })).toEqual({ style: 'form', explode: true });
+    });
+
+    it('should honour explicit settings', () => {
+      expect(parameterStyle({ in: 'query', style: 'form', explode: false })).toEqual({ style: 'form', explode: false });
+    });
+  });
+
+  describe('path parameters', () => {
+    const color = ['blue', 'black'];
+    const rgb = { R: 100, G: 200 };
+
+    it('should serialize simple style', () => {
+      expect(serialize({ name: 'c', in: 'path' }, 'a b').path.c).toBe('a%20b');
+      expect(serialize({ name: 'c', in: 'path' }, color).path.c).toBe('blue,black');
+      expect(serialize({ name: 'c', in: 'path' }, rgb).path.c).toBe('R,100,G,200');
+      expect(serialize({ name: 'c', in: 'path', explode: true }, rgb).path.c).toBe('R=100,G=200');
+    });
+
+    it('should serialize label style', () => {
+      expect(serialize({ name: 'c', in: 'path', style: 'label' }, color).path.c).toBe('.blue,black');
+      expect(serialize({ name: 'c', in: 'path', style: 'label', explode: true }, color).path.c).toBe('.blue.black');
+    });
+
+    it('should serialize matrix style', () => {
+      expect(serialize({ name: 'c', in: 'path', style: 'matrix' }, 'blue').path.c).toBe(';c=blue');
+      expect(serialize({ name: 'c', in: 'path', style: 'matrix' }, color).path.c).toBe(';c=blue,black');
+      expect(serialize({ name: 'c', in: 'path', style: 'matrix', explode: true }, color).path.c).toBe(';c=blue;c=black');
+      expect(serialize({ name: 'c', in: 'path', style: 'matrix', explode: true }, rgb).path.c).toBe(';R=100;G=200');
+    });
+  });
+
+  describe('query parameters', () => {
+    it('should serialize form style', () => {
+      expect(serialize({ name: 'limit', in: 'query' }, 10).query).toEqual(['limit=10']);
+      expect(serialize({ name: 'id', in: 'query' }, [1, 2]).query).toEqual(['id=1', 'id=2']);
+      expect(serialize({ name: 'id', in: 'query', explode: false }, [1, 2]).query).toEqual(['id=1,2']);
+      expect(serialize({ name: 'rgb', in: 'query' }, { R: 1, G: 2 }).query).toEqual(['R=1', 'G=2']);
+      expect(serialize({ name: 'rgb', in: 'query', explode: false }, { R: 1, G: 2 }).query).toEqual(['rgb=R,1,G,2']);
+    });
+
+    it('should serialize delimited styles', () => {
+      expect(serialize({ name: 'id', in: 'query', style: 'spaceDelimited', explode: false }, [1, 2]).query)
+        .toEqual(['id=1%202']);
+      expect(serialize({ name: 'id', in: 'query', style: 'pipeDelimited', explode: false }, [1, 2]).query)
+        .toEqual(['id=1|2']);
+    });
+
+    it('should serialize deepObject style', () => {
+      expect(serialize({ name: 'filter', in: 'query', style: 'deepObject', explode: true }, { status: 'active', owner: { id: 5 } }).query)
+        .toEqual(['filter[status]=active', 'filter[owner][id]=5']);
+    });
+
+    it('should percent-encode values unless allowReserved is set', () => {
+      expect(serialize({ name: 'q', in: 'query' }, 'a/b&c').query).toEqual(['q=a%2Fb%26c']);
+      expect(serialize({ name: 'q', in: 'query', allowReserved: true }, 'a/b').query).toEqual(['q=a/b']);
+    });
+
+    it('should send content parameters as JSON', () => {
+      const result = serializeParameters(
+        [{ name: 'filter', in: 'query', content: { 'application/json': {} } }],
+        { filter: { a: 1 } }
+      );
+      expect(result.query).toEqual([`filter=${encodeURIComponent('{"a":1}')}`]);
+    });
+  });
+
+  describe('header and cookie parameters', () => {
+    it('should serialize headers without percent-encoding', () => {
+      expect(serialize({ name: 'X-Trace', in: 'header' }, 'a b').headers).toEqual({ 'X-Trace': 'a b' });
+      expect(serialize({ name: 'X-Ids', in: 'header' }, [1, 2]).headers).toEqual({ 'X-Ids': '1,2' });
+    });
+
+    it('should ignore reserved header names', () => {
+      expect(serialize({ name: 'Accept', in: 'header' }, 'text/plain').headers).toEqual({});
+    });
+
+    it('should serialize cookies', () => {
+      expect(serialize({ name: 'token', in: 'cookie' }, 'abc').cookies).toEqual(['token=abc']);
+      expect(serialize({ name: 'ids', in: 'cookie', explode: false }, [1, 2]).cookies).toEqual(['ids=1,2']);
+    });
+  });
+
+  it('should skip missing arguments', () => {
+    const result = serializeParameters([{ name: 'limit', in: 'query' }], {});
+    expect(result.query).toEqual([]);
+  });
+
+  it('should read values from the argument name', () => {
+    const result = serializeParameters(
+      [{ name: 'id', in: 'query', argument: 'query_id' }, { name: 'id', in: 'path', argument: 'path_id' }],
+      { query_id: 'q', path_id: 'p' }
+    );
+    expect(result.query).toEqual(['id=q']);
+    expect(result.path).toEqual({ id: 'p' });
+  });
+});
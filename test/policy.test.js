@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { extractOperations } from '../lib/operations.js';
+import { createConfirmations, dangerousFromEnv, isDangerous, isReadOnlyOperation, normalizeDangerous } from '../lib/policy.js';
+
+const operations = extractOperations({
+  openapi: '3.1.0',
+  info: { title: 'WAHA', version: '1.0.0' },
+  paths: {
+    '/api/sessions/{session}': {
+      get: { operationId: 'SessionsController_get', tags: ['Sessions'] },
+      delete: { operationId: 'SessionsController_delete', tags: ['Sessions'] }
+    },
+    '/api/sessions/{session}/logout': {
+      post: { operationId: 'SessionsController_logout', tags: ['Sessions'] }
+    },
+    '/api/{session}/groups/{id}/leave': {
+      post: { operationId: 'GroupsController_leaveGroup', tags: ['👥 Groups'] }
+    }
+  }
+});
+const byId = Object.fromEntries(operations.map(operation => [operation.operationId, operation]));
+
+describe('Operation policy', () => {
+  describe('isReadOnlyOperation', () => {
+    it('should only let GET and HEAD operations through', () => {
+      expect(operations.filter(isReadOnlyOperation).map(operation => operation.operationId))
+        .toEqual(['SessionsController_get']);
+    });
+  });
+
+  describe('isDangerous', () => {
+    it('should match any rule: tag, operationId glob, path glob or method', () => {
+      const rules = normalizeDangerous({ tags: ['Groups'], operations: ['*_logout'], methods: ['delete'] });
+      expect(operations.filter(operation => isDangerous(operation, rules)).map(operation => operation.operationId))
+        .toEqual(['SessionsController_delete', 'SessionsController_logout', 'GroupsController_leaveGroup']);
+      expect(isDangerous(byId.SessionsController_get, undefined)).toBe(false);
+    });
+
+    it('should let the operation setting win over the rules', () => {
+      const rules = normalizeDangerous({ methods: 'delete' });
+      expect(isDangerous(byId.SessionsController_delete, rules, false)).toBe(false);
+      expect(isDangerous(byId.SessionsController_get, rules, true)).toBe(true);
+    });
+  });
+
+  describe('normalizeDangerous', () => {
+    it('should return undefined without rules and reject unknown fields', () => {
+      expect(normalizeDangerous({ tags: [] })).toBeUndefined();
+      expect(() => normalizeDangerous({ tag: ['Sessions'] })).toThrow('Unknown rule field "dangerous.tag"');
+    });
+
+    it('should read the DANGEROUS_* variables', () => {
+      expect(dangerousFromEnv({ DANGEROUS_METHODS: 'delete', DANGEROUS_PATHS: '/api/sessions/*/logout' }))
+        .toEqual({ paths: ['/api/sessions/*/logout'], methods: ['delete'] });
+      expect(dangerousFromEnv({})).toBeUndefined();
+    });
+  });
+
+  describe('createConfirmations', () => {
+    it('should redeem a token once, for the same tool and arguments in any order', () => {
+      const confirmations = createConfirmations();
+      const { token, expiresInSeconds } = confirmations.issue('deleteSession', { session: 'default', force: true });
+      expect(expiresInSeconds).toBe(300);
+
+      expect(confirmations.redeem('deleteSession', { session: 'other', force: true }, token))
+        .toEqual({ ok: false, reason: 'the arguments differ from the previewed call' });
+      expect(confirmations.redeem('logout', { session: 'default', force: true }, token))
+        .toEqual({ ok: false, reason: 'the confirmation token was issued for deleteSession, not logout' });
+      expect(confirmations.redeem('deleteSession', { force: true, session: 'default' }, token)).toEqual({ ok: true });
+      expect(confirmations.redeem('deleteSession', { session: 'default', force: true }, token).reason)
+        .toContain('unknown, already used or expired');
+    });
+
+    it('should expire tokens', () => {
+      let time = 0;
+      const confirmations = createConfirmations({ ttl: 1000, now: () => time });
+      const { token } = confirmations.issue('deleteSession', {});
+      time = 1000;
+      expect(confirmations.redeem('deleteSession', {}, token)).toEqual({
+        ok: false,
+        reason: 'the confirmation token is unknown, already used or expired (tokens are valid for 1 seconds)'
+      });
+    });
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { extractOperations } from '../lib/operations.js';
+import { createRateLimiter, parseRate, rateLimitSettings } from '../lib/ratelimit.js';
+
+const operations = extractOperations({
+  openapi: '3.1.0',
+  info: { title: 'WAHA', version: '1.0.0' },
+  paths: {
+    '/api/sendText': { post: { operationId: 'ChattingController_sendText', tags: ['📤 Chatting'] } },
+    '/api/{session}/chats/{chatId}/messages': {
+      get: {
+        operationId: 'ChatsController_getChatMessages',
+        tags: ['💬 Chats'],
+        parameters: [
+          { name: 'session', in: 'path', required: true, schema: { type: 'string' } },
+          { name: 'chatId', in: 'path', required: true, schema: { type: 'string' } }
+        ]
+      }
+    }
+  }
+});
+const sendText = { name: 'sendText', operation: operations[0] };
+const getMessages = { name: 'getChatMessages', operation: operations[1] };
+
+// Limiter on a fake clock; sleeping only records the delay, as if the calls were concurrent
+function fakeLimiter(settings) {
+  const clock = { time: 0, slept: [] };
+  const limiter = createRateLimiter(rateLimitSettings(settings), {
+    now: () => clock.time,
+    sleep: async ms => clock.slept.push(ms)
+  });
+  return { limiter, clock };
+}
+
+describe('Rate limiting', () => {
+  describe('parseRate', () => {
+    it('should parse rates with an optional interval count and burst', () => {
+      expect(parseRate('20/minute', 'global')).toEqual({ rate: '20/minute', limit: 20, interval: 60000, burst: 20 });
+      expect(parseRate({ rate: '1/5s', burst: 3 }, 'global')).toEqual({ rate: '1/5s', limit: 1, interval: 5000, burst: 3 });
+      expect(parseRate(undefined, 'global')).toBeUndefined();
+    });
+
+    it('should reject malformed rates', () => {
+      expect(() => parseRate('20 per minute', 'global'))
+        .toThrow('Invalid rate limit global: "20 per minute" (expected e.g. "20/minute" or "1/5s")');
+      expect(() => parseRate('0/s', 'global')).toThrow('Invalid rate limit global');
+    });
+  });
+
+  describe('rateLimitSettings', () => {
+    it('should merge overrides and read tag rates from a string', () => {
+      const settings = rateLimitSettings({ mode: 'queue', tags: 'Chatting=20/minute' }, { mode: 'reject', maxWait: '5000' });
+      expect(settings).toMatchObject({ mode: 'reject', maxWait: 5000, global: undefined });
+      expect(settings.tags.Chatting).toMatchObject({ limit: 20, interval: 60000 });
+      expect(() => rateLimitSettings({ mode: 'drop' })).toThrow('Invalid rate limit mode: drop');
+    });
+  });
+
+  describe('createRateLimiter', () => {
+    it('should not limit calls without a matching limit', async () => {
+      const { limiter } = fakeLimiter({ tags: { Groups: '1/minute' } });
+      expect(await limiter.acquire(sendText, {})).toBeUndefined();
+    });
+
+    it('should report the remaining budget of every bucket', async () => {
+      const { limiter } = fakeLimiter({ global: '10/minute', tags: { Chatting: '3/minute' }, chat: '2/minute' });
+      const result = await limiter.acquire(sendText, { body: { chatId: '123@c.us' } });
+      expect(result).toEqual({
+        ok: true, waited: 0, remaining: { 'global': 9, 'tag Chatting': 2, 'chat 123@c.us': 1 }
+      });
+    });
+
+    it('should only count changing calls against the chat limit', async () => {
+      const { limiter } = fakeLimiter({ chat: '1/minute', mode: 'reject' });
+      await limiter.acquire(sendText, { body: { chatId: '123@c.us' } });
+      expect(await limiter.acquire(getMessages, { chatId: '123@c.us' })).toBeUndefined();
+      expect((await limiter.acquire(sendText, { body: { chatId: '456@c.us' } })).ok).toBe(true);
+      expect(await limiter.acquire(sendText, { body: { chatId: '123@c.us' } })).toEqual({
+        ok: false, retryAfter: 60000, limits: ['chat 123@c.us'], mode: 'reject', maxWait: 30000
+      });
+    });
+
+    it('should queue calls within the maximum wait and refuse longer waits', async () => {
+      const { limiter, clock } = fakeLimiter({ global: { rate: '1/2s', burst: 1 }, maxWait: 3000 });
+      await limiter.acquire(sendText, {});
+      expect(await limiter.acquire(sendText, {})).toMatchObject({ ok: true, waited: 2000 });
+      expect(clock.slept).toEqual([2000]);
+
+      // The waiting call holds the token due at 2000, so a third one would wait until 4000
+      expect(await limiter.acquire(sendText, {})).toMatchObject({ ok: false, retryAfter: 4000, mode: 'queue' });
+      clock.time = 2500;
+      expect((await limiter.acquire(sendText, {})).waited).toBe(1500);
+    });
+
+    it('should apply per-operation limits and refill over time', async () => {
+      const { limiter, clock } = fakeLimiter({ mode: 'reject' });
+      const limited = { ...sendText, rateLimit: parseRate('2/minute', 'for sendText') };
+      await limiter.acquire(limited, {});
+      await limiter.acquire(limited, {});
+      expect(await limiter.acquire(limited, {})).toMatchObject({ ok: false, limits: ['operation sendText'] });
+      clock.time = 30000;
+      expect(await limiter.acquire(limited, {})).toEqual({ ok: true, waited: 0, remaining: { 'operation sendText': 0 } });
+    });
+  });
+});
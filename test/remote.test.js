@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fetchSpec, isRemoteSpec } from '../lib/remote.js';
+import { loadSpec } from '../lib/registry.js';
+
+const SPEC = JSON.stringify({
+  openapi: '3.1.0',
+  info: { title: 'Remote', version: '1.0.0' },
+  paths: { '/ping': { get: { operationId: 'ping' } } }
+});
+
+describe('Remote specs', () => {
+  let tmpDir;
+  let server;
+  let url;
+  let requests;
+  let respond;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openapi-mcp-remote-'));
+    requests = [];
+    respond = (req, res) => {
+      if (req.headers['if-none-match'] === '"v1"') {
+        res.statusCode = 304;
+        res.end();
+        return;
+      }
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('ETag', '"v1"');
+      res.setHeader('Last-Modified', 'Tue, 01 Oct 2024 00:00:00 GMT');
+      res.end(SPEC);
+    };
+    server = http.createServer((req, res) => {
+      requests.push({ url: req.url, headers: req.headers });
+      respond(req, res);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/-json`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should recognize HTTP URLs', () => {
+    expect(isRemoteSpec('https://waha.example.com/-json')).toBe(true);
+    expect(isRemoteSpec('./openapi.yaml')).toBe(false);
+  });
+
+  it('should fetch the spec and cache it on disk', async () => {
+    const result = await fetchSpec(url, { cacheDir: tmpDir, headers: { 'X-Api-Key': 'key' } });
+    expect(result).toEqual({ content: SPEC, diagnostics: [] });
+    expect(requests[0].headers['x-api-key']).toBe('key');
+
+    const [cacheFile] = fs.readdirSync(tmpDir);
+    const entry = JSON.parse(fs.readFileSync(path.join(tmpDir, cacheFile), 'utf8'));
+    expect(entry).toMatchObject({ url, etag: '"v1"', lastModified: 'Tue, 01 Oct 2024 00:00:00 GMT', content: SPEC });
+  });
+
+  it('should revalidate with ETag and Last-Modified', async () => {
+    await fetchSpec(url, { cacheDir: tmpDir });
+    const result = await fetchSpec(url, { cacheDir: tmpDir });
+    expect(result).toEqual({ content: SPEC, diagnostics: [] });
+    expect(requests[1].headers['if-none-match']).toBe('"v1"');
+    expect(requests[1].headers['if-modified-since']).toBe('Tue, 01 Oct 2024 00:00:00 GMT');
+  });
+
+  it('should fall back to the cached copy when the host fails', async () => {
+    await fetchSpec(url, { cacheDir: tmpDir });
+    respond = (req, res) => {
+      res.statusCode = 503;
+      res.end('down');
+    };
+    const result = await fetchSpec(url, { cacheDir: tmpDir });
+    expect(result.content).toBe(SPEC);
+    expect(result.diagnostics).toHaveLength(1);
+    expect(result.diagnostics[0].message).toContain('HTTP 503');
+    expect(result.diagnostics[0].action).toMatch(/^using cached copy fetched at /);
+  });
+
+  it('should fall back to the cached copy when the network is down', async () => {
+    await fetchSpec(url, { cacheDir: tmpDir });
+    await new Promise(resolve => server.close(resolve));
+    server = http.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const result = await fetchSpec(url, { cacheDir: tmpDir });
+    expect(result.content).toBe(SPEC);
+    expect(result.diagnostics[0].type).toBe('remote');
+  });
+
+  it('should keep the cached copy when the host returns content that is not a spec', async () => {
+    const entry = { name: 'remote', file: url, prefix: '', headers: {} };
+    await loadSpec(entry, { specCacheDir: tmpDir });
+    respond = (req, res) => {
+      res.setHeader('Content-Type', 'text/html');
+      res.end('<html><body>Bad gateway</body></html>');
+    };
+
+    const spec = await loadSpec(entry, { specCacheDir: tmpDir });
+    expect(spec.operations.map(operation => operation.operationId)).toEqual(['ping']);
+    expect(spec.diagnostics[0].message).toContain('invalid spec content: not an OpenAPI document');
+    const [cacheFile] = fs.readdirSync(tmpDir);
+    expect(JSON.parse(fs.readFileSync(path.join(tmpDir, cacheFile), 'utf8')).content).toBe(SPEC);
+  });
+
+  it('should time out slow hosts', async () => {
+    respond = () => {};
+    await expect(fetchSpec(url, { cacheDir: tmpDir, timeout: 100 }))
+      .rejects.toThrow('request timed out (no cached copy available)');
+  });
+
+  it('should fail without a cached copy', async () => {
+    respond = (req, res) => {
+      res.statusCode = 500;
+      res.end();
+    };
+    await expect(fetchSpec(url, { cacheDir: tmpDir })).rejects.toThrow('no cached copy available');
+  });
+
+  it('should load remote specs through the registry', async () => {
+    const spec = await loadSpec({ name: 'remote', file: url, prefix: '', headers: {} }, { specCacheDir: tmpDir });
+    expect(spec.source).toBe(url);
+    expect(spec.operations.map(operation => operation.operationId)).toEqual(['ping']);
+  });
+});
@@ -0,0 +1,266 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildUrl, makeApiRequest, mergeHeaders, previewRequest } from '../lib/request.js';
+import { createAuth } from '../lib/auth.js';
+import { extractOperations } from '../lib/operations.js';
+
+// Local HTTP stand-in that echoes back what it received
+function startEchoServer() {
+  return new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ method: req.method, url: req.url, headers: req.headers, body }));
+      });
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+const spec = {
+  openapi: '3.1.0',
+  info: { title: 'Echo', version: '1.0.0' },
+  paths: {
+    '/api/{session}/chats': {
+      parameters: [
+        { name: 'session', in: 'path', required: true, schema: { type: 'string' } }
+      ],
+      get: {
+        operationId: 'getChats',
+        parameters: [
+          { name: 'limit', in: 'query', schema: { type: 'integer' } },
+          { name: 'offset', in: 'query', schema: { type: 'integer' } },
+          { name: 'ids', in: 'query', explode: false, schema: { type: 'array', items: { type: 'string' } } },
+          { name: 'X-Request-Id', in: 'header', schema: { type: 'string' } },
+          { name: 'tracking', in: 'cookie', schema: { type: 'string' } },
+          { name: 'session', in: 'query', schema: { type: 'string' } }
+        ]
+      }
+    },
+    '/api/files': {
+      post: {
+        operationId: 'uploadFile',
+        requestBody: {
+          content: {
+            'application/octet-stream': { schema: { type: 'string', format: 'binary' } },
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                properties: {
+                  caption: { type: 'string' },
+                  file: { type: 'string', format: 'binary' },
+                  meta: { type: 'object' }
+                }
+              },
+              encoding: { meta: { contentType: 'application/json' } }
+            }
+          }
+        }
+      }
+    },
+    '/api/sendText': {
+      post: {
+        operationId: 'sendText',
+        requestBody: {
+          content: { 'application/json': { schema: { type: 'object' } } }
+        }
+      }
+    }
+  }
+};
+
+describe('makeApiRequest', () => {
+  let server;
+  let baseUrl;
+  const operations = extractOperations(spec);
+  const getChats = operations.find(operation => operation.operationId === 'getChats');
+  const sendText = operations.find(operation => operation.operationId === 'sendText');
+
+  beforeAll(async () => {
+    server = await startEchoServer();
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  it('should expose colliding parameter names with location prefixes', () => {
+    expect(Object.keys(getChats.inputSchema.properties)).toEqual([
+      'path_session', 'limit', 'offset', 'ids', 'X-Request-Id', 'tracking', 'query_session'
+    ]);
+    expect(getChats.inputSchema.required).toEqual(['path_session']);
+  });
+
+  it('should send path, query, header and cookie parameters', async () => {
+    const result = await makeApiRequest(getChats, {
+      path_session: 'default',
+      query_session: 'other',
+      limit: 10,
+      offset: 20,
+      ids: ['a', 'b'],
+      'X-Request-Id': 'req-1',
+      tracking: 'xyz'
+    }, baseUrl);
+
+    expect(result.status).toBe(200);
+    expect(result.body.method).toBe('GET');
+    expect(result.body.url).toBe('/api/default/chats?limit=10&offset=20&ids=a,b&session=other');
+    expect(result.body.headers['x-request-id']).toBe('req-1');
+    expect(result.body.headers.cookie).toBe('tracking=xyz');
+  });
+
+  it('should omit parameters that were not provided', async () => {
+    const result = await makeApiRequest(getChats, { path_session: 'default' }, baseUrl);
+    expect(result.body.url).toBe('/api/default/chats');
+    expect(result.body.headers.cookie).toBeUndefined();
+  });
+
+  it('should send the JSON request body', async () => {
+    const result = await makeApiRequest(sendText, { body: { chatId: '1@c.us', text: 'hi' } }, baseUrl);
+    expect(result.body.method).toBe('POST');
+    expect(JSON.parse(result.body.body)).toEqual({ chatId: '1@c.us', text: 'hi' });
+  });
+
+  it('should upload multipart bodies with file parts', async () => {
+    const uploadFile = operations.find(operation => operation.operationId === 'uploadFile');
+    const filePath = path.join(os.tmpdir(), `openapi-mcp-upload-${process.pid}.txt`);
+    fs.writeFileSync(filePath, 'file contents');
+
+    try {
+      expect(uploadFile.requestContentType).toBe('multipart/form-data');
+      const result = await makeApiRequest(uploadFile, { body: { caption: 'hi', file: filePath } }, baseUrl, {
+        uploadDir: os.tmpdir()
+      });
+      expect(result.body.headers['content-type']).toMatch(/^multipart\/form-data; boundary=/);
+      expect(result.body.body).toContain('name="caption"');
+      expect(result.body.body).toContain(`filename="${path.basename(filePath)}"`);
+      expect(result.body.body).toContain('file contents');
+    } finally {
+      fs.unlinkSync(filePath);
+    }
+  });
+
+  it('should send static headers and drop the default Content-Type when asked', async () => {
+    const withDefault = await makeApiRequest(getChats, { path_session: 'default' }, baseUrl, {
+      headers: { 'X-Tenant': 'acme' }
+    });
+    expect(withDefault.body.headers['x-tenant']).toBe('acme');
+    expect(withDefault.body.headers['content-type']).toBe('application/json');
+
+    const withoutDefault = await makeApiRequest(getChats, { path_session: 'default' }, baseUrl, {
+      contentTypeWithoutBody: false
+    });
+    expect(withoutDefault.body.headers['content-type']).toBeUndefined();
+
+    const removed = await makeApiRequest(getChats, { path_session: 'default' }, baseUrl, {
+      headers: { 'content-type': null }
+    });
+    expect(removed.body.headers['content-type']).toBeUndefined();
+  });
+
+  it('should still label request bodies without the default Content-Type', async () => {
+    const result = await makeApiRequest(sendText, { body: { text: 'hi' } }, baseUrl, { contentTypeWithoutBody: false });
+    expect(result.body.headers['content-type']).toBe('application/json');
+  });
+
+  it('should send operations with their own servers there', async () => {
+    const result = await makeApiRequest({ ...sendText, serverUrl: `${baseUrl}/uploads` }, { body: {} }, 'http://127.0.0.1:1');
+    expect(result.body.url).toBe('/uploads/api/sendText');
+  });
+
+  it('should report network failures', async () => {
+    await expect(makeApiRequest(sendText, {}, 'http://127.0.0.1:1')).rejects.toThrow('API request failed');
+  });
+});
+
+describe('previewRequest', () => {
+  const operations = extractOperations(spec);
+  const byId = Object.fromEntries(operations.map(operation => [operation.operationId, operation]));
+  const auth = createAuth(
+    {
+      key: { type: 'apiKey', in: 'query', name: 'api_key' },
+      oauth: { type: 'oauth2', flows: { clientCredentials: { tokenUrl: 'http://127.0.0.1:1/token' } } }
+    },
+    { key: { value: 'secret-key' }, oauth: { clientId: 'id', clientSecret: 'shh' } }
+  );
+
+  it('should describe the request with credentials redacted and a curl command', async () => {
+    const sendText = { ...byId.sendText, security: [{ key: [] }] };
+    const preview = await previewRequest(sendText, { body: { chatId: '1@c.us', text: "it's me" } }, 'http://waha.local', {
+      headers: { 'X-Api-Key': 'static-secret', 'X-Tenant': 'acme' },
+      auth
+    });
+
+    expect(preview).toEqual({
+      method: 'POST',
+      url: 'http://waha.local/api/sendText?api_key=[REDACTED]',
+      headers: { 'X-Api-Key': '[REDACTED]', 'X-Tenant': 'acme', 'Content-Type': 'application/json' },
+      body: { chatId: '1@c.us', text: "it's me" },
+      curl: "curl -X POST 'http://waha.local/api/sendText?api_key=[REDACTED]' -H 'X-Api-Key: [REDACTED]' " +
+        "-H 'X-Tenant: acme' -H 'Content-Type: application/json' --data-raw '{\"chatId\":\"1@c.us\",\"text\":\"it'\\''s me\"}'"
+    });
+  });
+
+  it('should not request OAuth2 tokens', async () => {
+    const getChats = { ...byId.getChats, security: [{ oauth: [] }] };
+    const preview = await previewRequest(getChats, { path_session: 'default', tracking: 'xyz' }, 'http://waha.local', { auth });
+    expect(preview.headers.Authorization).toBe('Bearer [REDACTED]');
+    expect(preview.headers.Cookie).toBe('tracking=xyz');
+    expect(preview.body).toBeUndefined();
+  });
+
+  it('should list multipart fields and files, uploading the files by their full path', async () => {
+    const filePath = path.join(os.tmpdir(), `openapi-mcp-preview-${process.pid}.txt`);
+    fs.writeFileSync(filePath, 'file contents');
+
+    try {
+      const body = { caption: '@/etc/passwd', file: path.basename(filePath) };
+      const preview = await previewRequest(byId.uploadFile, { body }, 'http://waha.local', { uploadDir: os.tmpdir() });
+      expect(preview.body).toEqual({
+        caption: '@/etc/passwd', file: `@${path.basename(filePath)} (text/plain, 13 bytes)`
+      });
+      expect(preview.headers['Content-Type']).toBeUndefined();
+      expect(preview.curl)
+        .toContain(`--form-string 'caption=@/etc/passwd' -F 'file=@${fs.realpathSync(filePath)};type=text/plain'`);
+    } finally {
+      fs.unlinkSync(filePath);
+    }
+  });
+
+  it('should send typed multipart parts as their value, not as a file', async () => {
+    const preview = await previewRequest(byId.uploadFile, { body: { meta: { a: 1 } } }, 'http://waha.local');
+    expect(preview.body).toEqual({ meta: '{"a":1}' });
+    expect(preview.curl).toContain(`-F 'meta={"a":1};type=application/json'`);
+    expect(preview.curl).not.toContain('@blob');
+
+    const quoted = await previewRequest(byId.uploadFile, { body: { meta: { a: 'x;y' } } }, 'http://waha.local');
+    expect(quoted.curl).toContain(`-F 'meta="{\\"a\\":\\"x;y\\"}";type=application/json'`);
+  });
+});
+
+describe('mergeHeaders', () => {
+  it('should merge header names case-insensitively, later values winning', () => {
+    expect(mergeHeaders({ 'Content-Type': 'application/json', Accept: '*/*' }, { 'content-type': 'text/plain' }))
+      .toEqual({ Accept: '*/*', 'content-type': 'text/plain' });
+  });
+
+  it('should remove headers set to null', () => {
+    expect(mergeHeaders({ 'Content-Type': 'application/json' }, { 'CONTENT-TYPE': null })).toEqual({});
+  });
+});
+
+describe('buildUrl', () => {
+  it('should keep the base URL path prefix', () => {
+    expect(buildUrl('https://api.example.com/v1/', '/users/{id}', { id: '7' }))
+      .toBe('https://api.example.com/v1/users/7');
+  });
+
+  it('should append query pairs', () => {
+    expect(buildUrl('https://api.example.com', '/users', {}, ['limit=1', 'offset=2']))
+      .toBe('https://api.example.com/users?limit=1&offset=2');
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseOpenApiFile } from '../lib/loader.js';
+import { extractOperations } from '../lib/operations.js';
+import { buildToolTable } from '../lib/registry.js';
+import { listResources, readResource } from '../lib/resources.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Loaded spec state as the registry builds it, from an OpenAPI document
+function specEntry(name, spec, prefix = '') {
+  return { name, prefix, spec, source: `${name}.yaml`, diagnostics: [], operations: extractOperations(spec) };
+}
+
+// Parsed JSON of a resource
+function read(uri, state) {
+  return JSON.parse(readResource(uri, state).contents[0].text);
+}
+
+const PETS_SPEC = {
+  openapi: '3.1.0',
+  info: { title: 'Pets', version: '1.0.0' },
+  tags: [{ name: 'pets', description: 'Everything about pets' }],
+  paths: {
+    '/pets/{petId}': {
+      get: {
+        operationId: 'getPet',
+        summary: 'Get a pet',
+        tags: ['pets'],
+        parameters: [{ name: 'petId', in: 'path', required: true, description: 'Pet id', schema: { type: 'integer' } }],
+        responses: {
+          200: {
+            description: 'The pet',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } }
+          },
+          404: { $ref: '#/components/responses/NotFound' }
+        }
+      }
+    },
+    '/health': { get: { operationId: 'health', responses: { 204: { description: 'Healthy' } } } }
+  },
+  components: {
+    schemas: {
+      Pet: {
+        type: 'object',
+        description: 'A pet',
+        properties: { name: { type: 'string' }, parent: { $ref: '#/components/schemas/Pet' } }
+      }
+    },
+    responses: { NotFound: { description: 'No such pet' } }
+  }
+};
+
+describe('Resources', () => {
+  let state;
+
+  beforeAll(() => {
+    const specs = [specEntry('pets', PETS_SPEC)];
+    state = { specs, tools: buildToolTable(specs) };
+  });
+
+  it('should list the spec, schemas, operations and tag index', () => {
+    expect(listResources(state).map(resource => resource.uri)).toEqual([
+      'spec://diagnostics',
+      'openapi://tags',
+      'openapi://spec',
+      'openapi://schemas/Pet',
+      'openapi://operations/getPet',
+      'openapi://operations/health'
+    ]);
+    expect(listResources(state)[3]).toMatchObject({ name: 'Schema Pet', description: 'A pet' });
+  });
+
+  it('should serve the spec with every reference inlined and cycles kept as $ref', () => {
+    const spec = read('openapi://spec', state);
+    const response = spec.paths['/pets/{petId}'].get.responses;
+    expect(response[404]).toEqual({ description: 'No such pet' });
+    expect(response[200].content['application/json'].schema).toEqual({
+      type: 'object',
+      description: 'A pet',
+      properties: { name: { type: 'string' }, parent: { $ref: '#/components/schemas/Pet' } }
+    });
+  });
+
+  it('should build the full spec once per loaded spec', () => {
+    const document = structuredClone(PETS_SPEC);
+    const loaded = { specs: [specEntry('pets', document)], tools: new Map() };
+    const first = readResource('openapi://spec', loaded).contents[0].text;
+    document.info.title = 'Renamed';
+    expect(readResource('openapi://spec', loaded).contents[0].text).toBe(first);
+
+    const reloaded = { specs: [specEntry('pets', document)], tools: new Map() };
+    expect(read('openapi://spec', reloaded).info.title).toBe('Renamed');
+    expect(listResources(reloaded)[2].description).toContain('This resource is large');
+  });
+
+  it('should serve dereferenced component schemas', () => {
+    expect(read('openapi://schemas/Pet', state).properties.parent).toEqual({
+      type: 'object', description: 'Recursive reference to Pet (not expanded)'
+    });
+    expect(() => readResource('openapi://schemas/Cat', state)).toThrow('Unknown resource: openapi://schemas/Cat');
+  });
+
+  it('should document an operation with its parameters and every response', () => {
+    const docs = read('openapi://operations/getPet', state);
+    expect(docs).toMatchObject({
+      tool: 'getPet', spec: 'pets', method: 'GET', path: '/pets/{petId}', summary: 'Get a pet', requestBody: null,
+      parameters: [
+        { name: 'petId', in: 'path', argument: 'petId', required: true, schema: { type: 'integer', description: 'Pet id' } }
+      ]
+    });
+    expect(docs.responses[200].description).toBe('The pet');
+    expect(docs.responses[200].content['application/json'].properties.name).toEqual({ type: 'string' });
+    expect(docs.responses[404]).toEqual({ description: 'No such pet', content: {} });
+  });
+
+  it('should group operations by tag', () => {
+    expect(read('openapi://tags', state)).toEqual({
+      tags: [
+        {
+          name: 'pets', spec: 'pets', description: 'Everything about pets',
+          operations: [
+            { tool: 'getPet', method: 'GET', path: '/pets/{petId}', summary: 'Get a pet', uri: 'openapi://operations/getPet' }
+          ]
+        },
+        {
+          name: '(untagged)', spec: 'pets', description: '',
+          operations: [
+            { tool: 'health', method: 'GET', path: '/health', summary: 'GET /health', uri: 'openapi://operations/health' }
+          ]
+        }
+      ]
+    });
+  });
+
+  it('should name the spec in the URIs when serving several specs', () => {
+    const waha = parseOpenApiFile(path.join(__dirname, '..', 'openapi.yaml')).spec;
+    const specs = [specEntry('pets', PETS_SPEC, 'pets'), specEntry('waha', waha, 'waha')];
+    const multi = { specs, tools: buildToolTable(specs) };
+    const uris = listResources(multi).map(resource => resource.uri);
+    expect(uris).toContain('openapi://spec/waha');
+    expect(uris).toContain('openapi://schemas/waha/MessageTextRequest');
+    expect(uris).toContain('openapi://operations/waha__ChattingController_sendText');
+
+    expect(read('openapi://schemas/waha/MessageTextRequest', multi).properties.chatId).toMatchObject({ type: 'string' });
+    expect(read('openapi://operations/waha__ChattingController_sendText', multi).requestBody).toMatchObject({
+      required: true, contentType: 'application/json'
+    });
+    expect(read('openapi://spec/pets', multi).info.title).toBe('Pets');
+    expect(() => readResource('openapi://spec', multi)).toThrow('Unknown resource');
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Response } from 'undici';
+import { checkResponse, isTextContentType, readResponse, formatToolResult } from '../lib/response.js';
+
+const PNG_BYTES = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const operation = { operationId: 'AuthController_getQR' };
+
+describe('Response handling', () => {
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openapi-mcp-response-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('isTextContentType', () => {
+    it('should treat JSON, text and XML as text', () => {
+      expect(isTextContentType('application/json; charset=utf-8')).toBe(true);
+      expect(isTextContentType('application/problem+json')).toBe(true);
+      expect(isTextContentType('text/html')).toBe(true);
+      expect(isTextContentType('application/xml')).toBe(true);
+      expect(isTextContentType(null)).toBe(true);
+    });
+
+    it('should treat images and octet streams as binary', () => {
+      expect(isTextContentType('image/png')).toBe(false);
+      expect(isTextContentType('application/octet-stream')).toBe(false);
+      expect(isTextContentType('application/pdf')).toBe(false);
+    });
+  });
+
+  describe('readResponse', () => {
+    it('should parse JSON bodies', async () => {
+      const result = await readResponse(new Response('{"ok":true}', {
+        status: 201,
+        headers: { 'content-type': 'application/json' }
+      }));
+      expect(result.status).toBe(201);
+      expect(result.body).toEqual({ ok: true });
+      expect(result.binary).toBeUndefined();
+    });
+
+    it('should keep non-JSON text as a string', async () => {
+      const result = await readResponse(new Response('pong', { headers: { 'content-type': 'text/plain' } }));
+      expect(result.body).toBe('pong');
+    });
+
+    it('should keep binary bodies intact', async () => {
+      const result = await readResponse(new Response(PNG_BYTES, { headers: { 'content-type': 'image/png' } }));
+      expect(result.binary.mimeType).toBe('image/png');
+      expect(Buffer.compare(result.binary.data, PNG_BYTES)).toBe(0);
+      expect(result.body).toBe('[image/png response, 8 bytes]');
+    });
+  });
+
+  describe('formatToolResult', () => {
+    it('should return JSON results as a single text block', async () => {
+      const content = await formatToolResult(operation, { status: 200, headers: {}, body: { a: 1 } });
+      expect(content).toHaveLength(1);
+      expect(JSON.parse(content[0].text)).toEqual({ status: 200, headers: {}, body: { a: 1 } });
+    });
+
+    it('should return images as image content', async () => {
+      const content = await formatToolResult(operation, {
+        status: 200,
+        headers: { 'content-type': 'image/png' },
+        body: '[image/png response, 8 bytes]',
+        binary: { data: PNG_BYTES, mimeType: 'image/png' }
+      });
+      expect(content[1]).toEqual({ type: 'image', data: PNG_BYTES.toString('base64'), mimeType: 'image/png' });
+      expect(content[0].text).not.toContain('binary');
+    });
+
+    it('should embed other binaries as resources', async () => {
+      const content = await formatToolResult(operation, {
+        status: 200,
+        headers: {},
+        body: '[application/pdf response, 3 bytes]',
+        binary: { data: Buffer.from('pdf'), mimeType: 'application/pdf' }
+      });
+      expect(content[1].type).toBe('resource');
+      expect(content[1].resource.mimeType).toBe('application/pdf');
+      expect(content[1].resource.blob).toBe(Buffer.from('pdf').toString('base64'));
+      expect(content[1].resource.uri).toMatch(/^openapi:\/\/responses\/AuthController_getQR\//);
+    });
+
+    it('should write other binaries to the output directory when configured', async () => {
+      const content = await formatToolResult(operation, {
+        status: 200,
+        headers: { 'content-disposition': 'attachment; filename="report.pdf"' },
+        body: '[application/pdf response, 3 bytes]',
+        binary: { data: Buffer.from('pdf'), mimeType: 'application/pdf' }
+      }, { outputDir: tmpDir });
+      const filePath = path.join(tmpDir, 'report.pdf');
+      expect(content).toHaveLength(1);
+      expect(JSON.parse(content[0].text).body).toContain(filePath);
+      expect(fs.readFileSync(filePath, 'utf8')).toBe('pdf');
+    });
+
+    it('should keep plain file names as they are and never replace an existing file', async () => {
+      const save = disposition => formatToolResult(operation, {
+        status: 200,
+        headers: { 'content-disposition': disposition },
+        body: '[application/pdf response, 3 bytes]',
+        binary: { data: Buffer.from('pdf'), mimeType: 'application/pdf' }
+      }, { outputDir: tmpDir });
+      const saved = async disposition => {
+        const body = JSON.parse((await save(disposition))[0].text).body;
+        return path.basename(body.match(/saved to (.+)\]$/)[1]);
+      };
+
+      expect(await saved('attachment; filename="report 100%.pdf"')).toBe('report 100%.pdf');
+      expect(await saved("attachment; filename*=UTF-8''report%20100%25.pdf")).toBe('report 100%-1.pdf');
+      expect(await saved('attachment; filename="a.pdf"; filename*=UTF-8\'\'bad%.pdf')).toBe('a.pdf');
+      expect(fs.readFileSync(path.join(tmpDir, 'report 100%.pdf'), 'utf8')).toBe('pdf');
+    });
+  });
+
+  describe('checkResponse', () => {
+    const getSession = {
+      operationId: 'getSession',
+      responseSchemas: {
+        200: {
+          'application/json': {
+            type: 'object',
+            required: ['name'],
+            properties: { name: { type: 'string' }, status: { enum: ['WORKING', 'STOPPED'] } }
+          }
+        },
+        '4XX': { 'application/json': { type: 'object', properties: { message: { type: 'string' } } } },
+        204: {}
+      }
+    };
+    const json = { 'content-type': 'application/json; charset=utf-8' };
+
+    it('should accept responses matching their declared schema', () => {
+      expect(checkResponse(getSession, { status: 200, headers: json, body: { name: 'default', status: 'WORKING' } })).toEqual([]);
+      expect(checkResponse(getSession, { status: 204, headers: {}, body: '' })).toEqual([]);
+      expect(checkResponse({ operationId: 'undocumented' }, { status: 200, headers: json, body: 1 })).toEqual([]);
+    });
+
+    it('should report schema violations by JSON path', () => {
+      expect(checkResponse(getSession, { status: 200, headers: json, body: { status: 'FAILED' } })).toEqual([
+        'Response body /name: is required',
+        'Response body /status: must be one of "WORKING", "STOPPED"'
+      ]);
+      expect(checkResponse(getSession, { status: 404, headers: json, body: { message: 42 } }))
+        .toEqual(['Response body /message: must be string, got integer']);
+    });
+
+    it('should report undeclared statuses and content types', () => {
+      expect(checkResponse(getSession, { status: 201, headers: json, body: {} }))
+        .toEqual(['Status 201 is not declared by the spec']);
+      expect(checkResponse(getSession, { status: 500, headers: json, body: {} })).toEqual([]);
+      expect(checkResponse(getSession, { status: 200, headers: { 'content-type': 'text/html' }, body: '<html>' }))
+        .toEqual(['Content type text/html is not declared for status 200 (expected application/json)']);
+    });
+  });
+});
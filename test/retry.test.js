@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import http from 'http';
+import { backoffDelay, canRetry, retryAfterDelay, retryPolicy, RETRY_DEFAULTS } from '../lib/retry.js';
+import { makeApiRequest } from '../lib/request.js';
+
+// Local HTTP stand-in that answers each request with the next scripted handler
+function startScriptedServer() {
+  return new Promise(resolve => {
+    const state = { handlers: [], requests: 0 };
+    const server = http.createServer((req, res) => {
+      const handler = state.handlers[Math.min(state.requests, state.handlers.length - 1)];
+      state.requests += 1;
+      req.resume();
+      req.on('end', () => handler(res));
+    });
+    server.listen(0, '127.0.0.1', () => resolve({ server, state }));
+  });
+}
+
+function ok(res) {
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify({ ok: true }));
+}
+
+function unavailable(res) {
+  res.statusCode = 503;
+  res.setHeader('Retry-After', '0');
+  res.end('busy');
+}
+
+describe('retryPolicy', () => {
+  it('should merge overrides over the defaults and skip undefined values', () => {
+    const policy = retryPolicy({ timeout: '5000', retries: undefined }, { retryNonIdempotent: true });
+    expect(policy).toEqual({ ...RETRY_DEFAULTS, timeout: 5000, retryNonIdempotent: true });
+  });
+
+  it('should reject invalid numbers', () => {
+    expect(() => retryPolicy({ retries: -1 })).toThrow('Invalid retry setting retries: -1');
+    expect(() => retryPolicy({ timeout: 'soon' })).toThrow('Invalid retry setting timeout: soon');
+  });
+
+  it('should only retry idempotent methods unless opted in', () => {
+    const policy = retryPolicy();
+    expect(canRetry('GET', policy)).toBe(true);
+    expect(canRetry('put', policy)).toBe(true);
+    expect(canRetry('post', policy)).toBe(false);
+    expect(canRetry('post', { ...policy, retryNonIdempotent: true })).toBe(true);
+  });
+});
+
+describe('backoffDelay', () => {
+  const policy = retryPolicy({ baseDelay: 100, maxDelay: 1000 });
+
+  it('should double the delay per attempt with half of it random', () => {
+    expect(backoffDelay(1, policy, () => 0)).toBe(50);
+    expect(backoffDelay(1, policy, () => 1)).toBe(100);
+    expect(backoffDelay(3, policy, () => 0.5)).toBe(300);
+  });
+
+  it('should cap the delay at maxDelay', () => {
+    expect(backoffDelay(10, policy, () => 1)).toBe(1000);
+  });
+});
+
+describe('retryAfterDelay', () => {
+  it('should read delays in seconds', () => {
+    expect(retryAfterDelay('3')).toBe(3000);
+  });
+
+  it('should read HTTP dates', () => {
+    const now = Date.parse('Wed, 21 Oct 2026 07:28:00 GMT');
+    expect(retryAfterDelay('Wed, 21 Oct 2026 07:28:05 GMT', now)).toBe(5000);
+    expect(retryAfterDelay('Wed, 21 Oct 2026 07:27:00 GMT', now)).toBe(0);
+  });
+
+  it('should ignore missing or invalid values', () => {
+    expect(retryAfterDelay(undefined)).toBeUndefined();
+    expect(retryAfterDelay('later')).toBeUndefined();
+  });
+});
+
+describe('makeApiRequest retries', () => {
+  let server;
+  let state;
+  let baseUrl;
+  const getItems = { method: 'get', path: '/items', operationId: 'getItems', parameters: [] };
+  const createItem = { method: 'post', path: '/items', operationId: 'createItem', parameters: [] };
+  const fast = { baseDelay: 1, maxDelay: 5 };
+
+  beforeAll(async () => {
+    ({ server, state } = await startScriptedServer());
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  }));
+
+  it('should retry a GET after 503 and honour Retry-After', async () => {
+    state.handlers = [unavailable, ok];
+    state.requests = 0;
+    const result = await makeApiRequest(getItems, {}, baseUrl, { retry: fast });
+    expect(result.status).toBe(200);
+    expect(result.attempts).toBe(2);
+    expect(state.requests).toBe(2);
+  });
+
+  it('should return the last response when the retries run out', async () => {
+    state.handlers = [unavailable];
+    state.requests = 0;
+    const result = await makeApiRequest(getItems, {}, baseUrl, { retry: { ...fast, retries: 1 } });
+    expect(result.status).toBe(503);
+    expect(result.attempts).toBe(2);
+  });
+
+  it('should not retry a POST unless the operation opts in', async () => {
+    state.handlers = [unavailable, ok];
+    state.requests = 0;
+    const once = await makeApiRequest(createItem, {}, baseUrl, { retry: fast });
+    expect(once.status).toBe(503);
+    expect(once.attempts).toBe(1);
+
+    state.requests = 0;
+    const retried = await makeApiRequest(createItem, {}, baseUrl, { retry: { ...fast, retryNonIdempotent: true } });
+    expect(retried.status).toBe(200);
+    expect(retried.attempts).toBe(2);
+  });
+
+  it('should time out hanging requests and report the attempts', async () => {
+    state.handlers = [() => {}];
+    state.requests = 0;
+    await expect(makeApiRequest(getItems, {}, baseUrl, { retry: { timeout: 100, retries: 0 } }))
+      .rejects.toThrow('request timed out after 100ms');
+
+    state.requests = 0;
+    await expect(makeApiRequest(getItems, {}, baseUrl, { retry: { ...fast, timeout: 100, retries: 1 } }))
+      .rejects.toThrow('after 2 attempts');
+    expect(state.requests).toBe(2);
+  });
+});
@@ -0,0 +1,205 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { resolvePointer, resolveRef, dereferenceSchema, parameterSchema } from '../lib/schema.js';
+import { extractOperations } from '../lib/operations.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const root = {
+  components: {
+    schemas: {
+      Base: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', format: 'uuid' }
+        },
+        required: ['id']
+      },
+      Named: {
+        allOf: [
+          { $ref: '#/components/schemas/Base' },
+          {
+            type: 'object',
+            properties: {
+              name: { type: 'string', default: 'anonymous' },
+              kind: { type: 'string', enum: ['a', 'b'] }
+            },
+            required: ['name']
+          }
+        ]
+      },
+      Node: {
+        type: 'object',
+        properties: {
+          value: { type: 'integer' },
+          children: { type: 'array', items: { $ref: '#/components/schemas/Node' } }
+        }
+      },
+      Media: {
+        oneOf: [
+          { $ref: '#/components/schemas/Base' },
+          { type: 'object', properties: { url: { type: 'string' } } }
+        ]
+      },
+      'a/b': { type: 'string' }
+    },
+    parameters: {
+      Session: { name: 'session', in: 'path', required: true, schema: { type: 'string' } }
+    }
+  }
+};
+
+describe('Schema dereferencing', () => {
+  describe('resolvePointer', () => {
+    it('should resolve local references', () => {
+      expect(resolvePointer(root, '#/components/schemas/Base').type).toBe('object');
+    });
+
+    it('should decode escaped pointer segments', () => {
+      expect(resolvePointer(root, '#/components/schemas/a~1b')).toEqual({ type: 'string' });
+    });
+
+    it('should throw for missing targets', () => {
+      expect(() => resolvePointer(root, '#/components/schemas/Missing')).toThrow('Unable to resolve reference');
+    });
+
+    it('should reject external references', () => {
+      expect(() => resolvePointer(root, 'other.yaml#/Foo')).toThrow('Only local references');
+    });
+  });
+
+  describe('resolveRef', () => {
+    it('should follow parameter references', () => {
+      const param = resolveRef({ $ref: '#/components/parameters/Session' }, root);
+      expect(param.name).toBe('session');
+      expect(param.in).toBe('path');
+    });
+
+    it('should return plain objects unchanged', () => {
+      const param = { name: 'limit', in: 'query' };
+      expect(resolveRef(param, root)).toBe(param);
+    });
+  });
+
+  describe('dereferenceSchema', () => {
+    it('should inline $ref targets', () => {
+      const schema = dereferenceSchema({ $ref: '#/components/schemas/Base' }, root);
+      expect(schema).toEqual(root.components.schemas.Base);
+    });
+
+    it('should merge allOf members', () => {
+      const schema = dereferenceSchema({ $ref: '#/components/schemas/Named' }, root);
+      expect(schema.allOf).toBeUndefined();
+      expect(Object.keys(schema.properties)).toEqual(['id', 'name', 'kind']);
+      expect(schema.required).toEqual(['id', 'name']);
+      expect(schema.properties.id.format).toBe('uuid');
+      expect(schema.properties.name.default).toBe('anonymous');
+      expect(schema.properties.kind.enum).toEqual(['a', 'b']);
+    });
+
+    it('should dereference oneOf branches', () => {
+      const schema = dereferenceSchema({ $ref: '#/components/schemas/Media' }, root);
+      expect(schema.oneOf).toHaveLength(2);
+      expect(schema.oneOf[0].properties.id.type).toBe('string');
+      expect(schema.oneOf[1].properties.url.type).toBe('string');
+    });
+
+    it('should stop at circular references', () => {
+      const schema = dereferenceSchema({ $ref: '#/components/schemas/Node' }, root);
+      const child = schema.properties.children.items;
+      expect(child.type).toBe('object');
+      expect(child.description).toContain('Node');
+      expect(child.properties).toBeUndefined();
+    });
+
+    it('should keep sibling keywords next to $ref', () => {
+      const schema = dereferenceSchema({ $ref: '#/components/schemas/Base', description: 'The base' }, root);
+      expect(schema.description).toBe('The base');
+      expect(schema.properties.id).toBeDefined();
+    });
+
+    it('should leave unresolved references described instead of throwing', () => {
+      const schema = dereferenceSchema({ $ref: '#/components/schemas/Missing' }, root);
+      expect(schema.description).toContain('Unresolved reference');
+    });
+  });
+
+  describe('parameterSchema', () => {
+    it('should default to string when no type is given', () => {
+      const schema = parameterSchema({ name: 'session', schema: { default: 'default' } }, root);
+      expect(schema).toEqual({ type: 'string', default: 'default', description: 'session parameter' });
+    });
+
+    it('should carry enum, default and description', () => {
+      const schema = parameterSchema({
+        name: 'format',
+        description: 'Output format',
+        schema: { type: 'string', enum: ['image', 'raw'], default: 'image' }
+      }, root);
+      expect(schema.enum).toEqual(['image', 'raw']);
+      expect(schema.default).toBe('image');
+      expect(schema.description).toBe('Output format');
+    });
+
+    it('should read the schema from content when schema is absent', () => {
+      const schema = parameterSchema({
+        name: 'filter',
+        content: { 'application/json': { schema: { type: 'object' } } }
+      }, root);
+      expect(schema.type).toBe('object');
+    });
+  });
+});
+
+describe('extractOperations input schemas', () => {
+  const spec = yaml.load(fs.readFileSync(path.join(__dirname, '..', 'openapi.yaml'), 'utf8'));
+  const operations = extractOperations(spec);
+  const byId = Object.fromEntries(operations.map(operation => [operation.operationId, operation]));
+
+  it('should expand the sendText request body', () => {
+    const body = byId.ChattingController_sendText.inputSchema.properties.body;
+    expect(body.type).toBe('object');
+    expect(body.properties.chatId.type).toBe('string');
+    expect(body.properties.linkPreview.default).toBe(true);
+    expect(body.required).toEqual(['chatId', 'text', 'session']);
+    expect(byId.ChattingController_sendText.inputSchema.required).toContain('body');
+  });
+
+  it('should leave no $ref in any generated input schema', () => {
+    for (const operation of operations) {
+      expect(JSON.stringify(operation.inputSchema)).not.toContain('$ref');
+    }
+  });
+
+  it('should carry parameter enums', () => {
+    const format = byId.AuthController_getQR.inputSchema.properties.format;
+    expect(format.enum).toEqual(['image', 'raw']);
+    expect(format.default).toBe('image');
+  });
+
+  it('should resolve referenced parameters and request bodies', () => {
+    const operations = extractOperations({
+      ...root,
+      paths: {
+        '/sessions/{session}': {
+          post: {
+            operationId: 'update',
+            parameters: [{ $ref: '#/components/parameters/Session' }],
+            requestBody: {
+              required: true,
+              content: { 'application/json': { schema: { $ref: '#/components/schemas/Named' } } }
+            }
+          }
+        }
+      }
+    });
+    const schema = operations[0].inputSchema;
+    expect(schema.required).toEqual(['session', 'body']);
+    expect(schema.properties.session.type).toBe('string');
+    expect(schema.properties.body.properties.name.type).toBe('string');
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { operationServerUrl, resolveServerUrl, selectServer, specBaseUrl } from '../lib/servers.js';
+
+const servers = [
+  {
+    url: 'https://{region}.api.example.com:{port}/v1',
+    description: 'Production',
+    variables: {
+      region: { default: 'eu', enum: ['eu', 'us'] },
+      port: { default: '443' }
+    }
+  },
+  { url: 'http://localhost:3000', description: 'Local WAHA' },
+  { url: '/api', description: 'Same host' }
+];
+
+describe('Server selection', () => {
+  describe('resolveServerUrl', () => {
+    it('should use variable defaults', () => {
+      expect(resolveServerUrl(servers[0])).toBe('https://eu.api.example.com:443/v1');
+    });
+
+    it('should substitute configured values, ignoring the name case', () => {
+      expect(resolveServerUrl(servers[0], { REGION: 'us', port: 8443 })).toBe('https://us.api.example.com:8443/v1');
+    });
+
+    it('should reject values outside the enum', () => {
+      expect(() => resolveServerUrl(servers[0], { region: 'ap' }))
+        .toThrow('Invalid value "ap" for server variable "region" (expected one of eu, us)');
+    });
+
+    it('should reject variables without a value or default', () => {
+      expect(() => resolveServerUrl({ url: 'https://{tenant}.example.com' }))
+        .toThrow('Server variable "tenant" of https://{tenant}.example.com has no value and no default');
+    });
+  });
+
+  describe('selectServer', () => {
+    it('should default to the first server', () => {
+      expect(selectServer(servers)).toBe(servers[0]);
+      expect(selectServer([], 'x')).toBeUndefined();
+    });
+
+    it('should select by index or description', () => {
+      expect(selectServer(servers, '1')).toBe(servers[1]);
+      expect(selectServer(servers, 'local waha')).toBe(servers[1]);
+      expect(selectServer(servers, 'same')).toBe(servers[2]);
+    });
+
+    it('should list the available servers when nothing matches', () => {
+      expect(() => selectServer(servers, 'staging')).toThrow('No server matches "staging" (available: 0: ');
+      expect(() => selectServer(servers, 5)).toThrow('No server at index 5');
+    });
+  });
+
+  describe('specBaseUrl', () => {
+    it('should prefer an explicit base URL', () => {
+      expect(specBaseUrl({ servers }, { baseUrl: 'http://waha.dev:3000', server: 'staging' })).toBe('http://waha.dev:3000');
+    });
+
+    it('should resolve the selected server', () => {
+      expect(specBaseUrl({ servers }, { server: 0, variables: { region: 'us' } })).toBe('https://us.api.example.com:443/v1');
+      expect(specBaseUrl({}, {})).toBe('http://localhost:8080');
+    });
+
+    it('should resolve relative server URLs against a remote spec', () => {
+      expect(specBaseUrl({ servers }, { server: 2, source: 'https://waha.example.com/-json' })).toBe('https://waha.example.com/api');
+      expect(specBaseUrl({ servers }, { server: 2, source: '/specs/openapi.yaml' })).toBe('http://localhost:8080/api');
+    });
+  });
+
+  describe('operationServerUrl', () => {
+    it('should use the configured selection when it matches, else the first server', () => {
+      expect(operationServerUrl(servers, { server: 'local' })).toBe('http://localhost:3000');
+      expect(operationServerUrl([servers[1]], { server: 'production' })).toBe('http://localhost:3000');
+      expect(operationServerUrl(undefined, {})).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { parseSelection, responseSettings, selectValue, shapeResult, truncateValue } from '../lib/shape.js';
+
+const body = {
+  count: 2,
+  messages: [
+    { id: 'a', body: 'hello', from: { name: 'Ann' } },
+    { id: 'b', body: 'bye', from: { name: 'Bob' } }
+  ],
+  'a/b': { '~x': 1 }
+};
+
+describe('selectValue', () => {
+  it('should follow JSON pointers with escapes', () => {
+    expect(selectValue(body, parseSelection('/messages/1/id'))).toBe('b');
+    expect(selectValue(body, parseSelection('/a~1b/~0x'))).toBe(1);
+    expect(selectValue(body, parseSelection('/missing'))).toBeNull();
+  });
+
+  it('should project paths with indexes and wildcards', () => {
+    expect(selectValue(body, parseSelection('messages[*].id'))).toEqual(['a', 'b']);
+    expect(selectValue(body, parseSelection('messages[0].from.name'))).toBe('Ann');
+    expect(selectValue(body, parseSelection('messages.1.body'))).toBe('bye');
+    expect(selectValue(body.messages, parseSelection('[*].from.name'))).toEqual(['Ann', 'Bob']);
+  });
+
+  it('should key several paths by path', () => {
+    expect(selectValue(body, parseSelection('count, messages[*].body, nope'))).toEqual({
+      count: 2,
+      'messages[*].body': ['hello', 'bye'],
+      nope: null
+    });
+  });
+
+  it('should reject invalid selections', () => {
+    expect(() => parseSelection('')).toThrow('expected a JSON pointer or a path');
+    expect(() => parseSelection('messages[x]')).toThrow('Invalid _select path "messages[x]" at character 9');
+  });
+});
+
+describe('truncateValue', () => {
+  it('should leave values within the limit alone', () => {
+    expect(truncateValue(body, 10000)).toEqual({ value: body, truncated: false });
+    expect(truncateValue(body, 0)).toEqual({ value: body, truncated: false });
+  });
+
+  it('should cut arrays and strings with markers', () => {
+    const items = Array.from({ length: 500 }, (_, index) => ({ id: index }));
+    const { value, truncated } = truncateValue({ items, text: 'x'.repeat(20000) }, 2000);
+    expect(truncated).toBe(true);
+    expect(JSON.stringify(value, null, 2).length).toBeLessThanOrEqual(2000);
+    expect(value.items.at(-1)).toMatch(/^…truncated \d+ items$/);
+    expect(value.text).toMatch(/^x+…truncated \d+ characters$/);
+  });
+
+  it('should fall back to cutting the JSON text of wide objects', () => {
+    const wide = Object.fromEntries(Array.from({ length: 100 }, (_, index) => [`key${index}`, index]));
+    const { value } = truncateValue(wide, 100);
+    expect(value).toMatch(/^\{\n {2}"key0": 0,[\s\S]*…truncated \d+ characters$/);
+  });
+});
+
+describe('shapeResult', () => {
+  const result = { status: 200, headers: { 'content-type': 'application/json' }, body };
+
+  it('should select, drop headers and mark truncation', () => {
+    expect(shapeResult(result, { selection: parseSelection('count'), compact: true }))
+      .toEqual({ status: 200, body: 2, select: 'count' });
+    const shaped = shapeResult({ ...result, body: 'y'.repeat(200) }, { maxSize: 100 });
+    expect(shaped.truncated).toBe(true);
+    expect(shaped.headers).toEqual(result.headers);
+  });
+
+  it('should not apply selections to error responses', () => {
+    const error = { status: 404, headers: {}, body: { message: 'Not found' } };
+    expect(shapeResult(error, { selection: parseSelection('count') })).toEqual(error);
+  });
+});
+
+describe('responseSettings', () => {
+  it('should merge overrides from the environment and config', () => {
+    expect(responseSettings()).toEqual({ maxSize: 100000, compact: false, validation: 'off' });
+    expect(responseSettings({ maxSize: '5000', compact: 'true' }, { compact: false }))
+      .toEqual({ maxSize: 5000, compact: false, validation: 'off' });
+    expect(() => responseSettings({ maxSize: 'big' })).toThrow('Invalid response maxSize: big');
+    expect(() => responseSettings({ validation: 'loud' })).toThrow('Invalid response validation: loud');
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { callTool } from '../lib/tools.js';
+import { extractOperations } from '../lib/operations.js';
+import { createRateLimiter, rateLimitSettings } from '../lib/ratelimit.js';
+
+const spec = {
+  openapi: '3.1.0',
+  info: { title: 'Tools', version: '1.0.0' },
+  paths: {
+    '/api/{session}/chats': {
+      get: {
+        operationId: 'getChats',
+        parameters: [
+          { name: 'session', in: 'path', required: true, schema: { type: 'string', default: 'default' } },
+          { name: 'limit', in: 'query', schema: { type: 'integer' } }
+        ]
+      }
+    },
+    '/api/{session}/auth/qr': {
+      get: {
+        operationId: 'getQR',
+        parameters: [
+          { name: 'session', in: 'path', required: true, schema: { type: 'string' } }
+        ]
+      }
+    },
+    '/api/report': {
+      get: { operationId: 'getReport' }
+    }
+  }
+};
+
+describe('callTool', () => {
+  let server;
+  let baseUrl;
+  let requests = 0;
+  const operations = extractOperations(spec);
+  const byId = Object.fromEntries(operations.map(operation => [operation.operationId, operation]));
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requests++;
+      if (req.url.endsWith('/auth/qr')) {
+        res.setHeader('Content-Type', 'image/png');
+        res.end(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+        return;
+      }
+      if (req.url === '/api/report') {
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', 'attachment; filename="shot.pdf"');
+        res.end('pdf');
+        return;
+      }
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ url: req.url }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  it('should send coerced arguments with defaults applied', async () => {
+    const result = await callTool(byId.getChats, { limit: '5' }, { baseUrl });
+    expect(result.isError).toBeUndefined();
+    expect(JSON.parse(result.content[0].text).body).toEqual({ url: '/api/default/chats?limit=5' });
+  });
+
+  it('should return a structured error without calling the API when validation fails', async () => {
+    const before = requests;
+    const result = await callTool(byId.getChats, { limit: 'many' }, { baseUrl });
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('- /limit: must be integer, got string');
+    const details = JSON.parse(result.content[0].text.slice(result.content[0].text.indexOf('{')));
+    expect(details).toEqual({
+      error: 'invalid_arguments',
+      tool: 'getChats',
+      errors: [{ path: '/limit', message: 'must be integer, got string' }]
+    });
+    expect(requests).toBe(before);
+  });
+
+  it('should save binaries under the name the server sent in compact mode', async () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openapi-mcp-tools-'));
+    try {
+      const result = await callTool(byId.getReport, {}, { baseUrl, outputDir, response: { compact: true } });
+      const summary = JSON.parse(result.content[0].text);
+      expect(summary.headers).toBeUndefined();
+      expect(summary.body).toContain(path.join(outputDir, 'shot.pdf'));
+      expect(fs.readFileSync(path.join(outputDir, 'shot.pdf'), 'utf8')).toBe('pdf');
+    } finally {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should shape the result with _select and compact mode', async () => {
+    const result = await callTool(byId.getChats, { limit: 1, _select: 'url' }, { baseUrl, response: { compact: true } });
+    expect(JSON.parse(result.content[0].text)).toEqual({
+      status: 200,
+      body: '/api/default/chats?limit=1',
+      attempts: 1,
+      select: 'url'
+    });
+
+    const before = requests;
+    const invalid = await callTool(byId.getChats, { _select: 'a..b' }, { baseUrl });
+    expect(invalid.isError).toBe(true);
+    expect(invalid.content[0].text).toContain('- /_select: Invalid _select path "a..b"');
+    expect(requests).toBe(before);
+  });
+
+  it('should report response schema mismatches as warnings or errors', async () => {
+    const operation = {
+      ...byId.getChats,
+      responseSchemas: { 200: { 'application/json': { type: 'object', required: ['chats'] } } }
+    };
+    const warned = await callTool(operation, {}, { baseUrl, response: { validation: 'warn' } });
+    expect(warned.isError).toBeUndefined();
+    expect(JSON.parse(warned.content[0].text).warnings).toEqual(['Response body /chats: is required']);
+
+    const strict = await callTool(operation, {}, { baseUrl, response: { validation: 'strict' } });
+    expect(strict.isError).toBe(true);
+    expect(strict.content[0].text).toContain('Error: Response of getChats (status 200) does not match the spec\n- Response body /chats: is required');
+  });
+
+  it('should preview the request without calling the API in dry-run mode', async () => {
+    const before = requests;
+    const result = await callTool(byId.getChats, { limit: 5, _dryRun: true }, { baseUrl });
+    expect(JSON.parse(result.content[0].text)).toMatchObject({
+      dryRun: true,
+      method: 'GET',
+      url: `${baseUrl}/api/default/chats?limit=5`
+    });
+
+    const global = await callTool(byId.getChats, { _dryRun: false }, { baseUrl, dryRun: true });
+    expect(JSON.parse(global.content[0].text).dryRun).toBe(true);
+    expect(requests).toBe(before);
+  });
+
+  it('should report the rate limit budget and refuse calls over the limit', async () => {
+    const limiter = createRateLimiter(rateLimitSettings({ global: '1/minute', mode: 'reject' }));
+    const throttle = args => limiter.acquire({ name: 'getChats', operation: byId.getChats }, args);
+
+    const first = await callTool(byId.getChats, {}, { baseUrl, throttle });
+    expect(JSON.parse(first.content[0].text).rateLimit).toEqual({ waited: 0, remaining: { global: 0 } });
+
+    const before = requests;
+    const second = await callTool(byId.getChats, {}, { baseUrl, throttle });
+    expect(second.isError).toBe(true);
+    expect(second.content[0].text).toContain(
+      'Error: Rate limit reached for getChats (global); the request was not sent because calls over the limit ' +
+      'are rejected. Retry in 60 seconds.'
+    );
+    expect(requests).toBe(before);
+  });
+
+  it('should return image responses as image content', async () => {
+    const result = await callTool(byId.getQR, { session: 'default' }, { baseUrl });
+    expect(result.content[1].type).toBe('image');
+    expect(result.content[1].mimeType).toBe('image/png');
+  });
+});
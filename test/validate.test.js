@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import { validateArguments, validateResponseBody } from '../lib/validate.js';
+
+const schema = {
+  type: 'object',
+  properties: {
+    session: { type: 'string', default: 'default' },
+    limit: { type: 'integer', minimum: 1, maximum: 100 },
+    archived: { type: 'boolean' },
+    format: { type: 'string', enum: ['image', 'raw'] },
+    body: {
+      type: 'object',
+      properties: {
+        chatId: { type: 'string', pattern: '@' },
+        linkPreview: { type: 'boolean', default: true },
+        mentions: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['chatId']
+    }
+  },
+  required: ['body']
+};
+
+describe('validateArguments', () => {
+  it('should accept valid arguments and apply defaults', () => {
+    const result = validateArguments(schema, { body: { chatId: '1@c.us' } });
+    expect(result.valid).toBe(true);
+    expect(result.value).toEqual({
+      session: 'default',
+      body: { chatId: '1@c.us', linkPreview: true }
+    });
+  });
+
+  it('should report missing required fields instead of filling in their defaults', () => {
+    const required = {
+      type: 'object',
+      properties: { chatId: { type: 'string' }, text: { type: 'string', default: 'Hi there!' } },
+      required: ['chatId', 'text']
+    };
+    const result = validateArguments(required, { chatId: '1@c.us' });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([{ path: '/text', message: 'is required' }]);
+    expect(result.value).toEqual({ chatId: '1@c.us' });
+  });
+
+  it('should coerce obvious type mismatches', () => {
+    const result = validateArguments(schema, {
+      limit: '10',
+      archived: 'true',
+      body: { chatId: '1@c.us', linkPreview: 'false', mentions: 'x@c.us' }
+    });
+    expect(result.valid).toBe(true);
+    expect(result.value.limit).toBe(10);
+    expect(result.value.archived).toBe(true);
+    expect(result.value.body.linkPreview).toBe(false);
+    expect(result.value.body.mentions).toEqual(['x@c.us']);
+  });
+
+  it('should coerce numbers to strings and JSON strings to objects', () => {
+    const result = validateArguments(schema, { body: '{"chatId":"1@c.us"}', session: 42 });
+    expect(result.valid).toBe(true);
+    expect(result.value.session).toBe('42');
+    expect(result.value.body.chatId).toBe('1@c.us');
+  });
+
+  it('should report every failing field with its JSON path', () => {
+    const result = validateArguments(schema, {
+      limit: 'ten',
+      format: 'gif',
+      body: { linkPreview: 'maybe' }
+    });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      { path: '/limit', message: 'must be integer, got string' },
+      { path: '/format', message: 'must be one of "image", "raw"' },
+      { path: '/body/chatId', message: 'is required' },
+      { path: '/body/linkPreview', message: 'must be boolean, got string' }
+    ]);
+  });
+
+  it('should report missing required top-level arguments', () => {
+    const result = validateArguments(schema, undefined);
+    expect(result.errors).toEqual([{ path: '/body', message: 'is required' }]);
+  });
+
+  it('should check numeric and string constraints', () => {
+    const result = validateArguments(schema, { limit: 0, body: { chatId: 'nope' } });
+    expect(result.errors.map(error => error.path)).toEqual(['/limit', '/body/chatId']);
+  });
+
+  it('should validate array items', () => {
+    const result = validateArguments(schema, { body: { chatId: '1@c.us', mentions: ['a', { b: 1 }] } });
+    expect(result.errors).toEqual([{ path: '/body/mentions/1', message: 'must be string, got object' }]);
+  });
+
+  it('should accept any matching oneOf branch', () => {
+    const fileSchema = {
+      type: 'object',
+      properties: {
+        file: {
+          oneOf: [
+            { type: 'object', properties: { url: { type: 'string' } }, required: ['url'] },
+            { type: 'object', properties: { data: { type: 'string' } }, required: ['data'] }
+          ]
+        }
+      }
+    };
+    expect(validateArguments(fileSchema, { file: { data: 'abc' } }).valid).toBe(true);
+    expect(validateArguments(fileSchema, { file: { name: 'x' } }).errors)
+      .toEqual([{ path: '/file', message: 'must match one of the allowed schemas' }]);
+  });
+
+  it('should reject unknown properties only when additionalProperties is false', () => {
+    const strict = { type: 'object', properties: { a: { type: 'string' } }, additionalProperties: false };
+    expect(validateArguments(strict, { b: 1 }).errors).toEqual([{ path: '/b', message: 'is not an allowed property' }]);
+    expect(validateArguments({ type: 'object', properties: {} }, { b: 1 }).valid).toBe(true);
+  });
+
+  it('should honour nullable and type arrays', () => {
+    expect(validateArguments({ type: 'object', properties: { a: { type: 'string', nullable: true } } }, { a: null }).valid).toBe(true);
+    expect(validateArguments({ type: 'object', properties: { a: { type: ['integer', 'null'] } } }, { a: null }).valid).toBe(true);
+  });
+});
+
+describe('validateResponseBody', () => {
+  it('should neither coerce values nor apply defaults', () => {
+    const bodySchema = {
+      type: 'object',
+      required: ['id', 'status'],
+      properties: { id: { type: 'integer' }, status: { type: 'string', default: 'WORKING' } }
+    };
+    expect(validateResponseBody(bodySchema, { id: 1, status: 'STOPPED' })).toEqual({ valid: true, errors: [] });
+    expect(validateResponseBody(bodySchema, { id: '1' }).errors).toEqual([
+      { path: '/status', message: 'is required' },
+      { path: '/id', message: 'must be integer, got string' }
+    ]);
+  });
+});
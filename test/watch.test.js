@@ -0,0 +1,94 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildToolTable, loadSpec } from '../lib/registry.js';
+import { referencedFiles, watchSpecs } from '../lib/watch.js';
+
+function specYaml(operationIds) {
+  const paths = operationIds
+    .map(id => `  /${id}:\n    get:\n      operationId: ${id}\n`)
+    .join('');
+  return `openapi: 3.1.0\ninfo:\n  title: Watched\n  version: 1.0.0\npaths:\n${paths}`;
+}
+
+describe('Spec hot reload', () => {
+  let tmpDir;
+  let file;
+  let config;
+  let state;
+  let watcher;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openapi-mcp-watch-'));
+    file = path.join(tmpDir, 'openapi.yaml');
+    fs.writeFileSync(file, specYaml(['first']));
+
+    config = { specs: [{ name: 'default', file, prefix: '', headers: {} }] };
+    const specs = [await loadSpec(config.specs[0], config)];
+    state = { specs, tools: buildToolTable(specs) };
+  });
+
+  afterEach(async () => {
+    await watcher?.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // Start watching and resolve with the outcome of the next reload
+  function nextReload() {
+    return new Promise(resolve => {
+      watcher = watchSpecs(config, state, {
+        debounce: 20,
+        onReload: (current, names) => resolve({ reloaded: names }),
+        onError: (error, names) => resolve({ failed: names, error })
+      });
+    });
+  }
+
+  it('should swap in the new operations when the spec changes', async () => {
+    const previous = state.tools;
+    const reload = nextReload();
+    fs.writeFileSync(file, specYaml(['first', 'second']));
+
+    expect(await reload).toEqual({ reloaded: ['default'] });
+    expect([...state.tools.keys()]).toEqual(['first', 'second']);
+    expect(state.tools).not.toBe(previous);
+    expect(state.specs[0].operations).toHaveLength(2);
+  });
+
+  it('should keep the previous version when the new spec does not parse', async () => {
+    const previous = state.tools;
+    const reload = nextReload();
+    fs.writeFileSync(file, 'openapi: 3.1.0\npaths: [unclosed\n');
+
+    const result = await reload;
+    expect(result.failed).toEqual(['default']);
+    expect(result.error.message).toContain('Failed to parse OpenAPI file');
+    expect(state.tools).toBe(previous);
+  });
+
+  it('should pick up files replaced by rename', async () => {
+    const reload = nextReload();
+    const temp = path.join(tmpDir, 'openapi.yaml.tmp');
+    fs.writeFileSync(temp, specYaml(['renamed']));
+    fs.renameSync(temp, file);
+
+    expect(await reload).toEqual({ reloaded: ['default'] });
+    expect([...state.tools.keys()]).toEqual(['renamed']);
+  });
+
+  it('should collect files referenced by external $refs', () => {
+    const spec = {
+      paths: {
+        '/a': { $ref: 'paths/a.yaml' },
+        '/b': { get: { responses: { 200: { $ref: './common.yaml#/responses/Ok' } } } },
+        '/c': { get: { responses: { 200: { $ref: '#/components/responses/Ok' } } } },
+        '/d': { get: { responses: { 200: { $ref: 'https://example.com/spec.yaml#/Ok' } } } }
+      }
+    };
+    expect(referencedFiles(spec, '/specs/openapi.yaml')).toEqual([
+      path.resolve('/specs/paths/a.yaml'),
+      path.resolve('/specs/common.yaml')
+    ]);
+  });
+});